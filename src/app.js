@@ -13,8 +13,8 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import {
-  mongoose, startAutoDelete, rateLimitPerUser, winston, swaggerUi, swaggerSpec,
-  authController, userController, messageController, safetyController, authMiddleware,
+  mongoose, startAutoDelete, startScheduledMessages, startQuotaReset, rateLimitPerUser, swipeRateLimit, winston, swaggerUi, swaggerSpec,
+  authController, userController, messageController, groupController, safetyController, authMiddleware,
 } from './lib.js';
 import typeDefs from './graphql/schema.js';
 import resolvers from './graphql/resolvers.js';
@@ -49,27 +49,67 @@ mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopol
 
 app.post('/api/auth/register', upload.single('photo'), authController.register);
 app.post('/api/auth/login', authController.login);
+app.post('/api/auth/login/2fa', authController.loginTwoFactor);
+app.post('/api/auth/refresh', authController.refreshToken);
+app.post('/api/auth/2fa/setup', authMiddleware, authController.setupTwoFactor);
+app.post('/api/auth/2fa/verify', authMiddleware, authController.verifyTwoFactor);
+app.post('/api/auth/2fa/backup-codes', authMiddleware, authController.regenerateBackupCodes);
+app.post('/api/auth/2fa/disable', authMiddleware, authController.disableTwoFactor);
+app.post('/api/auth/phone/send-otp', authMiddleware, authController.sendPhoneOtp);
+app.post('/api/auth/phone/verify', authMiddleware, authController.verifyPhone);
+app.post('/api/auth/phone/login/send-otp', authController.sendPhoneLoginOtp);
+app.post('/api/auth/phone/login', authController.loginWithPhone);
+app.get('/api/auth/sessions', authMiddleware, authController.getSessions);
+app.delete('/api/auth/sessions', authMiddleware, authController.revokeAllSessions);
+app.delete('/api/auth/sessions/:sessionId', authMiddleware, authController.revokeSession);
 app.get('/api/auth/verify-email', authController.verifyEmail);
+app.post('/api/auth/resend-verification', authController.resendVerificationEmail);
+app.post('/api/auth/change-email', authMiddleware, authController.requestEmailChange);
+app.get('/api/auth/confirm-email-change', authController.confirmEmailChange);
 app.post('/api/auth/forgot-password', authController.forgotPassword);
 app.post('/api/auth/reset-password', authController.resetPassword);
 
 app.get('/api/users/profiles', authMiddleware, userController.getProfiles);
 app.put('/api/users/profile', upload.single('photo'), authMiddleware, userController.updateProfile);
 app.delete('/api/users/profile', authMiddleware, userController.deleteProfile);
-app.post('/api/users/like', authMiddleware, userController.likeProfile);
+app.post('/api/users/like', authMiddleware, swipeRateLimit, userController.likeProfile);
 app.get('/api/users/maybe-likes', authMiddleware, userController.getMaybeLikes);
+app.get('/api/users/likes-received', authMiddleware, userController.getLikesReceived);
+app.post('/api/users/likes-received/:likeId', authMiddleware, swipeRateLimit, userController.respondToLike);
 app.post('/api/users/undo', authMiddleware, userController.undoLastSwipe);
+app.post('/api/users/passes/recycle', authMiddleware, userController.recyclePasses);
+app.post('/api/users/unmatch', authMiddleware, userController.unmatch);
+app.get('/api/users/blocks', authMiddleware, userController.getBlockedUsers);
+app.post('/api/users/block/:userId', authMiddleware, userController.blockUser);
+app.delete('/api/users/block/:userId', authMiddleware, userController.unblockUser);
 app.get('/api/users/stats', authMiddleware, userController.getStats);
 app.post('/api/users/hiatus', authMiddleware, userController.toggleHiatus);
 app.post('/api/users/boost', authMiddleware, userController.boostProfile);
 
-app.post('/api/messages', authMiddleware, upload.single('image'), messageController.sendMessage);
+app.post('/api/messages', authMiddleware, upload.fields([{ name: 'image', maxCount: 1 }, { name: 'attachments', maxCount: 10 }]), messageController.sendMessage);
 app.get('/api/messages/conversation/:userId', authMiddleware, messageController.getConversation);
 app.get('/api/messages/inbox', authMiddleware, messageController.getInbox);
+app.get('/api/messages/search', authMiddleware, messageController.searchMessages);
 app.delete('/api/messages/conversation/:userId', authMiddleware, messageController.deleteConversation);
 app.put('/api/messages/conversation/:userId/read', authMiddleware, messageController.markMessagesRead);
+app.put('/api/messages/delivered', authMiddleware, messageController.markMessagesDelivered);
+app.get('/api/messages/scheduled', authMiddleware, messageController.getScheduledMessages);
+app.put('/api/messages/scheduled/:scheduledId', authMiddleware, messageController.updateScheduledMessage);
+app.delete('/api/messages/scheduled/:scheduledId', authMiddleware, messageController.cancelScheduledMessage);
 app.post('/api/messages/confession', authMiddleware, messageController.sendConfession);
 app.get('/api/messages/safety-guidelines', messageController.getSafetyGuidelines);
+app.put('/api/messages/:messageId', authMiddleware, messageController.editMessage);
+app.delete('/api/messages/:messageId', authMiddleware, messageController.unsendMessage);
+app.post('/api/messages/:messageId/reactions', authMiddleware, messageController.addReaction);
+app.delete('/api/messages/:messageId/reactions/:emoji', authMiddleware, messageController.removeReaction);
+
+app.post('/api/groups', authMiddleware, groupController.createGroup);
+app.get('/api/groups', authMiddleware, groupController.getGroups);
+app.post('/api/groups/:groupId/invite', authMiddleware, groupController.inviteToGroup);
+app.post('/api/groups/:groupId/leave', authMiddleware, groupController.leaveGroup);
+app.get('/api/groups/:groupId/messages', authMiddleware, groupController.getGroupMessages);
+app.post('/api/groups/:groupId/messages', authMiddleware, upload.fields([{ name: 'attachments', maxCount: 10 }]), groupController.sendGroupMessage);
+app.put('/api/groups/:groupId/read', authMiddleware, groupController.markGroupRead);
 
 app.post('/api/safety/report', authMiddleware, safetyController.reportSuspiciousActivity);
 app.post('/api/safety/verify-location', authMiddleware, safetyController.verifyLocation);
@@ -93,6 +133,8 @@ const wsServer = new WebSocketServer({ server: httpServer, path: '/graphql' });
 useServer({ schema }, wsServer);
 
 startAutoDelete();
+startScheduledMessages();
+startQuotaReset();
 
 app.get('/csrf-token', (req, res) => {
   res.json({ csrfToken: req.csrfToken() });
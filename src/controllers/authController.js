@@ -1,8 +1,30 @@
-import { Call, pubsub, User, winston, ApiError, ApiResponse, asyncHandler, jwt, bcrypt } from '../lib.js';
+import {
+  Call, pubsub, User, Session, winston, ApiError, ApiResponse, asyncHandler, jwt, bcrypt, createSession, rotateSession, revokeSessions,
+  lockoutKeys, assertNotLocked, recordFailure, clearFailures, generateTotpSecret, provisioningUri, verifyTotp, generateBackupCodes,
+  hashBackupCode, normalizePhone, issueOtp, consumeOtp,
+} from '../lib.js';
 import { uploadToCloudinary } from '../utils/cloudinary.js';
 import { sendEmail } from '../utils/email.js';
 import crypto from 'crypto';
 
+// Cost-12 hash of a random string, compared against when the email is unknown so both cases take as long
+const DUMMY_PASSWORD_HASH = '$2a$12$UMXIG141aiggq.nWhmUZCOsbkWxZpSA9xQb5RZt778muAvkJSNqRe';
+
+// Gives the user a fresh 24 hour verification link, saves it and emails it
+const sendVerificationEmail = async (user, req) => {
+  user.emailVerificationToken = crypto.randomBytes(32).toString('hex');
+  user.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  await user.save();
+
+  const verificationUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email?token=${user.emailVerificationToken}`;
+  await sendEmail(
+    user.email,
+    'Verify Your Email - L.I.F',
+    `Please verify your email by clicking this link: ${verificationUrl}`,
+    `<p>Please verify your email by clicking <a href="${verificationUrl}">here</a>.</p>`
+  );
+};
+
 /**
  * @swagger
  * /api/auth/register:
@@ -65,9 +87,12 @@ import crypto from 'crypto';
  *                 type: string
  *                 format: binary
  *                 description: User's profile photo (optional)
+ *               deviceName:
+ *                 type: string
+ *                 description: Label for this device in the session list (optional)
  *     responses:
  *       201:
- *         description: User registered successfully, verification email sent
+ *         description: User registered successfully, verification email sent. Returns an access token and a refresh token.
  *         content:
  *           application/json:
  *             schema:
@@ -80,9 +105,11 @@ import crypto from 'crypto';
  *               $ref: '#/components/schemas/ApiResponse'
  */
 export const register = asyncHandler(async (req) => {
-  const { email, password, name, phone, prompt, lat, lng, age, gender, interests } = req.body;
+  const { email, password, name, prompt, lat, lng, age, gender, interests } = req.body;
+  const phone = normalizePhone(req.body.phone);
   const existingUser = await User.findOne({ email });
   if (existingUser) throw new ApiError(400, 'User already exists');
+  if (phone && await User.exists({ phone, phoneVerified: true })) throw new ApiError(400, 'Phone number already in use');
 
   const file = req.file;
   let photoURL;
@@ -100,25 +127,31 @@ export const register = asyncHandler(async (req) => {
     gender,
     interests: interests ? interests.split(',') : [],
     photoURL,
-    emailVerificationToken: crypto.randomBytes(32).toString('hex'),
-    emailVerificationExpires: Date.now() + 24 * 60 * 60 * 1000, // 24 hours
   });
 
-  await user.save();
+  await sendVerificationEmail(user, req);
   winston.info(`User registered: ${email}`);
 
-  const verificationUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email?token=${user.emailVerificationToken}`;
-  await sendEmail(
-    email,
-    'Verify Your Email - L.I.F',
-    `Please verify your email by clicking this link: ${verificationUrl}`,
-    `<p>Please verify your email by clicking <a href="${verificationUrl}">here</a>.</p>`
-  );
-
-  const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
-  return new ApiResponse(201, { token, user }, 'User registered successfully. Please verify your email.');
+  const { token, refreshToken } = await createSession(user, req);
+  return new ApiResponse(201, { token, refreshToken, user }, 'User registered successfully. Please verify your email.');
 });
 
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+const sendLockoutEmail = async (user) => {
+  try {
+    await sendEmail(
+      user.email,
+      'Your account has been temporarily locked - L.I.F',
+      'We locked your account after several failed sign-in attempts. You can try again later. If this was not you, reset your password.',
+      '<p>We locked your account after several failed sign-in attempts. You can try again later.</p><p>If this was not you, reset your password.</p>'
+    );
+  } catch (err) {
+    // The failed login is still reported; a missing email should not turn it into a 500
+    winston.error(`Lockout email to ${user.email} failed: ${err.message}`);
+  }
+};
+
 /**
  * @swagger
  * /api/auth/login:
@@ -143,9 +176,12 @@ export const register = asyncHandler(async (req) => {
  *                 type: string
  *                 minLength: 8
  *                 description: User's password
+ *               deviceName:
+ *                 type: string
+ *                 description: Label for this device in the session list (optional)
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. Returns a short-lived access token and a refresh token for this device, or, when two-factor authentication is enabled, twoFactorRequired and a challengeToken for /api/auth/login/2fa.
  *         content:
  *           application/json:
  *             schema:
@@ -162,21 +198,433 @@ export const register = asyncHandler(async (req) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
+ *       429:
+ *         description: Too many failed attempts for this account or IP address; locked temporarily
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
  */
 export const login = asyncHandler(async (req) => {
   const { email, password } = req.body;
+  const keys = lockoutKeys('login', email, req);
+  await assertNotLocked(keys);
+
+  // Unknown emails fail exactly like wrong passwords, and count towards the same lockouts
   const user = await User.findOne({ email });
-  if (!user) throw new ApiError(401, 'Invalid credentials');
+  const isMatch = await bcrypt.compare(password, user?.password || DUMMY_PASSWORD_HASH) && Boolean(user);
+  if (!isMatch) {
+    const locked = await recordFailure(keys);
+    if (user && locked.includes('account')) await sendLockoutEmail(user);
+    throw new ApiError(401, 'Invalid credentials');
+  }
   if (!user.verified) throw new ApiError(403, 'Email not verified');
+  await clearFailures(keys.account);
+  return completeLogin(user, req);
+});
 
-  const isMatch = await bcrypt.compare(password, user.password);
-  if (!isMatch) throw new ApiError(401, 'Invalid credentials');
+// Shared by password and phone login once the first factor checks out.
+// With 2FA that only earns a challenge token, exchanged for real tokens at /api/auth/login/2fa.
+const completeLogin = async (user, req) => {
+  if (user.twoFactor?.enabled) {
+    const challengeToken = jwt.sign(
+      { id: user._id, tokenVersion: user.tokenVersion, purpose: '2fa' },
+      process.env.JWT_SECRET,
+      { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+    );
+    winston.info(`First factor accepted for ${user.email}, awaiting second factor`);
+    return new ApiResponse(200, { twoFactorRequired: true, challengeToken }, 'Two-factor code required');
+  }
 
   user.lastActive = new Date();
   await user.save();
-  const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
-  winston.info(`User logged in: ${email}`);
-  return new ApiResponse(200, { token, user }, 'Login successful');
+  const { token, refreshToken } = await createSession(user, req);
+  winston.info(`User logged in: ${user.email}`);
+  return new ApiResponse(200, { token, refreshToken, user }, 'Login successful');
+};
+
+// Accepts a current TOTP code (each only once) or an unused backup code, which is then used up
+const verifySecondFactor = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.secret');
+  const step = user?.twoFactor?.secret ? verifyTotp(user.twoFactor.secret, code) : null;
+  if (step !== null) {
+    const { modifiedCount } = await User.updateOne(
+      { _id: userId, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return modifiedCount > 0;
+  }
+  const hash = hashBackupCode(code);
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  );
+  return modifiedCount > 0;
+};
+
+// Wrong codes count towards a lockout, since six digits are otherwise easy to guess
+const assertSecondFactor = async (user, code, req) => {
+  const keys = lockoutKeys('2fa', user.email, req);
+  await assertNotLocked(keys);
+  if (!(await verifySecondFactor(user._id, code))) {
+    const locked = await recordFailure(keys);
+    if (locked.includes('account')) await sendLockoutEmail(user);
+    throw new ApiError(401, 'Invalid two-factor code');
+  }
+  await clearFailures(keys.account);
+};
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with a two-factor code
+ *     description: Second step of the login for accounts with two-factor authentication. Accepts a code from the authenticator app or a backup code.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken: { type: string }
+ *               code: { type: string }
+ *               deviceName: { type: string }
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const loginTwoFactor = asyncHandler(async (req) => {
+  const { challengeToken, code } = req.body || {};
+  let challenge;
+  try {
+    challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    throw new ApiError(401, 'Invalid or expired challenge');
+  }
+  const user = challenge.purpose === '2fa' ? await User.findById(challenge.id) : null;
+  if (!user || user.tokenVersion !== challenge.tokenVersion || !user.twoFactor?.enabled) {
+    throw new ApiError(401, 'Invalid or expired challenge');
+  }
+  await assertSecondFactor(user, code, req);
+
+  user.lastActive = new Date();
+  await user.save();
+  const { token, refreshToken } = await createSession(user, req);
+  winston.info(`User logged in with two-factor authentication: ${user.email}`);
+  return new ApiResponse(200, { token, refreshToken, user }, 'Login successful');
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new TOTP secret and its otpauth:// provisioning URI, to be shown as a QR code. Two-factor authentication is only enabled once a code is verified.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const setupTwoFactor = asyncHandler(async (req) => {
+  const user = await User.findById(req.userId);
+  if (!user) throw new ApiError(404, 'User not found');
+  if (user.twoFactor?.enabled) throw new ApiError(400, 'Two-factor authentication is already enabled');
+
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+  winston.info(`Two-factor enrollment started for ${user.email}`);
+  return new ApiResponse(200, { secret, otpauthUrl: provisioningUri(secret, user.email) }, 'Scan the QR code with your authenticator app');
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Finish two-factor enrollment
+ *     description: Verifies a code for the secret from setup and enables two-factor authentication. Returns one-time backup codes, which are only shown this once.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: No enrollment in progress or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const verifyTwoFactor = asyncHandler(async (req) => {
+  const user = await User.findById(req.userId).select('+twoFactor.pendingSecret');
+  if (!user) throw new ApiError(404, 'User not found');
+  if (user.twoFactor?.enabled) throw new ApiError(400, 'Two-factor authentication is already enabled');
+  const secret = user.twoFactor?.pendingSecret;
+  if (!secret) throw new ApiError(400, 'Start two-factor setup first');
+
+  const step = verifyTotp(secret, req.body?.code);
+  if (step === null) throw new ApiError(400, 'Invalid two-factor code');
+
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.secret': secret,
+      'twoFactor.backupCodes': hashes,
+      'twoFactor.lastUsedStep': step,
+    },
+    $unset: { 'twoFactor.pendingSecret': 1 },
+  });
+  winston.info(`Two-factor authentication enabled for ${user.email}`);
+  return new ApiResponse(200, { backupCodes: codes }, 'Two-factor authentication enabled. Keep your backup codes somewhere safe');
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Replace the backup codes
+ *     description: Requires a current two-factor code. All previous backup codes stop working.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: Backup codes regenerated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const regenerateBackupCodes = asyncHandler(async (req) => {
+  const user = await User.findById(req.userId);
+  if (!user) throw new ApiError(404, 'User not found');
+  if (!user.twoFactor?.enabled) throw new ApiError(400, 'Two-factor authentication is not enabled');
+  await assertSecondFactor(user, req.body?.code, req);
+
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.backupCodes': hashes });
+  winston.info(`Backup codes regenerated for ${user.email}`);
+  return new ApiResponse(200, { backupCodes: codes }, 'Backup codes regenerated');
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Requires the password and a current two-factor or backup code.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password: { type: string }
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Wrong password or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const disableTwoFactor = asyncHandler(async (req) => {
+  const { password, code } = req.body || {};
+  const user = await User.findById(req.userId);
+  if (!user) throw new ApiError(404, 'User not found');
+  if (!user.twoFactor?.enabled) throw new ApiError(400, 'Two-factor authentication is not enabled');
+  if (!password || !(await bcrypt.compare(password, user.password))) throw new ApiError(401, 'Invalid password');
+  await assertSecondFactor(user, code, req);
+
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: { 'twoFactor.secret': 1, 'twoFactor.backupCodes': 1, 'twoFactor.enabledAt': 1, 'twoFactor.lastUsedStep': 1 },
+  });
+  winston.info(`Two-factor authentication disabled for ${user.email}`);
+  return new ApiResponse(200, null, 'Two-factor authentication disabled');
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens rotate on every use. Presenting one that was already used revokes the whole session, since it means the token leaked.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const refreshToken = asyncHandler(async (req) => {
+  const { refreshToken: presented } = req.body || {};
+  if (!presented) throw new ApiError(400, 'Refresh token is required');
+  const { token, refreshToken: next } = await rotateSession(presented);
+  return new ApiResponse(200, { token, refreshToken: next }, 'Token refreshed successfully');
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the user's active sessions
+ *     description: One entry per signed-in device; the session making the request is flagged as current.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const getSessions = asyncHandler(async (req) => {
+  const sessions = await Session.find({ user: req.userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('device createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+  const data = sessions.map(session => ({
+    ...session.toObject(),
+    current: session._id.toString() === req.sessionId?.toString(),
+  }));
+  return new ApiResponse(200, data, 'Sessions retrieved successfully');
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Signs the device out; its access and refresh tokens stop working immediately.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const revokeSession = asyncHandler(async (req) => {
+  const { sessionId } = req.params;
+  if (!/^[0-9a-f]{24}$/.test(sessionId)) throw new ApiError(404, 'Session not found');
+  const { modifiedCount } = await revokeSessions({ _id: sessionId, user: req.userId });
+  if (!modifiedCount) throw new ApiError(404, 'Session not found');
+  winston.info(`Session ${sessionId} revoked by ${req.userId}`);
+  return new ApiResponse(200, null, 'Session revoked successfully');
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Revoke all sessions
+ *     description: Signs out every device. Pass exceptCurrent=true to stay signed in on this one.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: exceptCurrent
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const revokeAllSessions = asyncHandler(async (req) => {
+  const exceptCurrent = [true, 'true'].includes(req.query?.exceptCurrent) && req.sessionId;
+  const filter = exceptCurrent ? { user: req.userId, _id: { $ne: req.sessionId } } : { user: req.userId };
+  const { modifiedCount } = await revokeSessions(filter);
+  winston.info(`${modifiedCount} sessions revoked by ${req.userId}`);
+  return new ApiResponse(200, { revoked: modifiedCount }, 'Sessions revoked successfully');
 });
 
 /**
@@ -216,11 +664,393 @@ export const verifyEmail = asyncHandler(async (req) => {
   return new ApiResponse(200, null, 'Email verified successfully');
 });
 
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     description: Sends a new link if the account exists and is not verified yet; the response is the same either way. Limited per email and IP address.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email: { type: string }
+ *     responses:
+ *       200:
+ *         description: Verification email sent if needed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       429:
+ *         description: Too many requests for this email or IP address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const resendVerificationEmail = asyncHandler(async (req) => {
+  const { email } = req.body || {};
+  if (!email) throw new ApiError(400, 'Email is required');
+  const keys = lockoutKeys('verify-resend', email, req);
+  await assertNotLocked(keys);
+  // Every request counts, like password reset requests, which caps the emails one address can receive
+  await recordFailure(keys);
+
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (user && !user.verified) {
+    await sendVerificationEmail(user, req);
+    winston.info(`Verification email resent to: ${user.email}`);
+  }
+  return new ApiResponse(200, null, 'If this email needs verifying, a new link has been sent');
+});
+
+/**
+ * @swagger
+ * /api/auth/change-email:
+ *   post:
+ *     summary: Request an email address change
+ *     description: Sends a confirmation link to the new address and a notice to the current one. The address only changes once the link is opened.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               newEmail: { type: string, format: email }
+ *               password: { type: string }
+ *     responses:
+ *       200:
+ *         description: Confirmation email sent to the new address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Invalid or already used email address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Wrong password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const requestEmailChange = asyncHandler(async (req) => {
+  const { newEmail, password } = req.body || {};
+  const user = await User.findById(req.userId);
+  if (!user) throw new ApiError(404, 'User not found');
+
+  const keys = lockoutKeys('email-change', user.email, req);
+  await assertNotLocked(keys);
+  if (!password || !(await bcrypt.compare(password, user.password))) {
+    await recordFailure(keys);
+    throw new ApiError(401, 'Invalid password');
+  }
+
+  const email = String(newEmail || '').toLowerCase().trim();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw new ApiError(400, 'Invalid email address');
+  if (email === user.email) throw new ApiError(400, 'This is already your email address');
+  if (await User.exists({ email })) throw new ApiError(400, 'Email already in use');
+
+  user.pendingEmail = email;
+  user.emailChangeToken = crypto.randomBytes(32).toString('hex');
+  user.emailChangeExpires = Date.now() + 60 * 60 * 1000; // 1 hour
+  await user.save();
+
+  const confirmUrl = `${req.protocol}://${req.get('host')}/api/auth/confirm-email-change?token=${user.emailChangeToken}`;
+  await sendEmail(
+    email,
+    'Confirm Your New Email - L.I.F',
+    `Confirm your new email address by clicking this link: ${confirmUrl}`,
+    `<p>Confirm your new email address by clicking <a href="${confirmUrl}">here</a>. This link expires in 1 hour.</p>`
+  );
+  await sendEmail(
+    user.email,
+    'Email Change Requested - L.I.F',
+    `Someone asked to change your account's email address to ${email}. If this was not you, reset your password.`,
+    `<p>Someone asked to change your account's email address to ${email}.</p><p>If this was not you, reset your password.</p>`
+  );
+
+  winston.info(`Email change requested for ${user.email}`);
+  return new ApiResponse(200, { pendingEmail: email }, 'Confirmation email sent to the new address');
+});
+
+/**
+ * @swagger
+ * /api/auth/confirm-email-change:
+ *   get:
+ *     summary: Confirm an email address change
+ *     description: Switches the account to the new address and signs out every session.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const confirmEmailChange = asyncHandler(async (req) => {
+  const { token } = req.query;
+  const user = token ? await User.findOne({
+    emailChangeToken: token,
+    emailChangeExpires: { $gt: Date.now() },
+  }) : null;
+  if (!user?.pendingEmail) throw new ApiError(400, 'Invalid or expired confirmation token');
+  if (await User.exists({ email: user.pendingEmail })) throw new ApiError(400, 'Email already in use');
+
+  const previousEmail = user.email;
+  user.email = user.pendingEmail;
+  user.verified = true; // Opening the link proves the new address
+  user.pendingEmail = undefined;
+  user.emailChangeToken = undefined;
+  user.emailChangeExpires = undefined;
+  user.tokenVersion += 1; // Invalidate existing JWTs
+  try {
+    await user.save();
+  } catch (err) {
+    if (err.code === 11000) throw new ApiError(400, 'Email already in use');
+    throw err;
+  }
+  await revokeSessions({ user: user._id }, 'email-change');
+
+  winston.info(`Email changed from ${previousEmail} to ${user.email}`);
+  return new ApiResponse(200, null, 'Email changed successfully. Please log in again');
+});
+
+/**
+ * @swagger
+ * /api/auth/phone/send-otp:
+ *   post:
+ *     summary: Text a code to verify the user's phone number
+ *     description: Uses the phone number from registration unless a new one is given; a new number is only saved once verified.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phone: { type: string }
+ *     responses:
+ *       200:
+ *         description: Verification code sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       429:
+ *         description: A code was requested less than a minute ago, or too many codes were requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const sendPhoneOtp = asyncHandler(async (req) => {
+  const user = await User.findById(req.userId);
+  if (!user) throw new ApiError(404, 'User not found');
+  const phone = normalizePhone(req.body?.phone || user.phone);
+  if (!phone) throw new ApiError(400, 'Phone number is required');
+  if (phone === user.phone && user.phoneVerified) throw new ApiError(400, 'Phone number already verified');
+  if (await User.exists({ phone, phoneVerified: true, _id: { $ne: user._id } })) throw new ApiError(400, 'Phone number already in use');
+  // Keyed on the account and address rather than the number, so cycling through numbers can't send unlimited texts
+  const keys = lockoutKeys('phone-send', user._id, req);
+  await assertNotLocked(keys);
+  await recordFailure(keys);
+
+  await issueOtp({ phone, purpose: 'verify', userId: user._id });
+  return new ApiResponse(200, { phone }, 'Verification code sent');
+});
+
+/**
+ * @swagger
+ * /api/auth/phone/verify:
+ *   post:
+ *     summary: Verify the phone number with the texted code
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phone: { type: string }
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: Phone number verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Invalid or expired code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const verifyPhone = asyncHandler(async (req) => {
+  const user = await User.findById(req.userId);
+  if (!user) throw new ApiError(404, 'User not found');
+  const phone = normalizePhone(req.body?.phone || user.phone);
+  if (!phone) throw new ApiError(400, 'Phone number is required');
+  const keys = lockoutKeys('phone-verify', phone, req);
+  await assertNotLocked(keys);
+
+  const otpUserId = await consumeOtp({ phone, purpose: 'verify', code: req.body?.code });
+  if (otpUserId?.toString() !== user._id.toString()) {
+    await recordFailure(keys);
+    throw new ApiError(400, 'Invalid or expired code');
+  }
+  await clearFailures(keys.account);
+
+  user.phone = phone;
+  user.phoneVerified = true;
+  try {
+    await user.save();
+  } catch (err) {
+    if (err.code === 11000) throw new ApiError(400, 'Phone number already in use');
+    throw err;
+  }
+  // The number is proven to be this user's, so drop anyone else's unverified claim on it
+  await User.updateMany({ phone, _id: { $ne: user._id }, phoneVerified: { $ne: true } }, { $unset: { phone: 1 } });
+  winston.info(`Phone verified for user: ${user.email}`);
+  return new ApiResponse(200, { phone, phoneVerified: true }, 'Phone number verified');
+});
+
+/**
+ * @swagger
+ * /api/auth/phone/login/send-otp:
+ *   post:
+ *     summary: Text a login code to a verified phone number
+ *     description: Always responds the same way, whether or not the number belongs to an account.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phone: { type: string }
+ *     responses:
+ *       200:
+ *         description: Login code sent if the number belongs to an account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       429:
+ *         description: Too many code requests for this number or IP address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const sendPhoneLoginOtp = asyncHandler(async (req) => {
+  const phone = normalizePhone(req.body?.phone);
+  if (!phone) throw new ApiError(400, 'Phone number is required');
+  const keys = lockoutKeys('phone-send', phone, req);
+  await assertNotLocked(keys);
+  // Every request counts, like password reset requests, which caps the texts one number can receive
+  await recordFailure(keys);
+
+  const user = await User.findOne({ phone, phoneVerified: true });
+  if (user) {
+    try {
+      await issueOtp({ phone, purpose: 'login', userId: user._id });
+    } catch (err) {
+      // A resend cooldown only exists for real accounts, so it must not change the response
+      if (err.statusCode !== 429) throw err;
+    }
+  }
+  return new ApiResponse(200, null, 'If this number belongs to an account, a login code has been sent');
+});
+
+/**
+ * @swagger
+ * /api/auth/phone/login:
+ *   post:
+ *     summary: Log in with a phone number and texted code
+ *     description: Alternative to email and password. Accounts with two-factor authentication get a challengeToken, as with /api/auth/login.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phone: { type: string }
+ *               code: { type: string }
+ *               deviceName: { type: string }
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Invalid or expired code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       429:
+ *         description: Too many failed attempts for this number or IP address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const loginWithPhone = asyncHandler(async (req) => {
+  const phone = normalizePhone(req.body?.phone);
+  if (!phone) throw new ApiError(400, 'Phone number is required');
+  const keys = lockoutKeys('phone-login', phone, req);
+  await assertNotLocked(keys);
+
+  const userId = await consumeOtp({ phone, purpose: 'login', code: req.body?.code });
+  const user = userId ? await User.findOne({ _id: userId, phone, phoneVerified: true }) : null;
+  if (!user) {
+    await recordFailure(keys);
+    throw new ApiError(401, 'Invalid or expired code');
+  }
+  if (!user.verified) throw new ApiError(403, 'Email not verified');
+  await clearFailures(keys.account);
+  return completeLogin(user, req);
+});
+
 /**
  * @swagger
  * /api/auth/forgot-password:
  *   post:
  *     summary: Request password reset
+ *     description: Always responds the same way, whether or not an account exists for the email.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -232,7 +1062,13 @@ export const verifyEmail = asyncHandler(async (req) => {
  *               email: { type: string }
  *     responses:
  *       200:
- *         description: Password reset email sent
+ *         description: Password reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       429:
+ *         description: Too many reset requests for this email or IP address
  *         content:
  *           application/json:
  *             schema:
@@ -240,8 +1076,17 @@ export const verifyEmail = asyncHandler(async (req) => {
  */
 export const forgotPassword = asyncHandler(async (req) => {
   const { email } = req.body;
+  const keys = lockoutKeys('reset', email, req);
+  await assertNotLocked(keys);
+  // Every request counts, existing account or not, which caps the reset emails one address can receive
+  await recordFailure(keys);
+
+  const sentMessage = 'If an account exists for this email, a password reset link has been sent';
   const user = await User.findOne({ email });
-  if (!user) throw new ApiError(404, 'User not found');
+  if (!user) {
+    winston.info(`Password reset requested for unknown email: ${email}`);
+    return new ApiResponse(200, null, sentMessage);
+  }
 
   const resetToken = crypto.randomBytes(32).toString('hex');
   user.passwordResetToken = resetToken;
@@ -257,7 +1102,7 @@ export const forgotPassword = asyncHandler(async (req) => {
   );
 
   winston.info(`Password reset requested for: ${email}`);
-  return new ApiResponse(200, null, 'Password reset email sent');
+  return new ApiResponse(200, null, sentMessage);
 });
 
 /**
@@ -287,23 +1132,36 @@ export const forgotPassword = asyncHandler(async (req) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
+ *       429:
+ *         description: Too many invalid tokens from this IP address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
  */
 export const resetPassword = asyncHandler(async (req) => {
   const { token } = req.query;
   const { password } = req.body;
+  const keys = lockoutKeys('reset', null, req);
+  await assertNotLocked(keys);
 
   const user = await User.findOne({
     passwordResetToken: token,
     passwordResetExpires: { $gt: Date.now() },
   });
 
-  if (!user) throw new ApiError(400, 'Invalid or expired reset token');
+  if (!user) {
+    await recordFailure(keys);
+    throw new ApiError(400, 'Invalid or expired reset token');
+  }
 
   user.password = await bcrypt.hash(password, 12);
   user.passwordResetToken = undefined;
   user.passwordResetExpires = undefined;
   user.tokenVersion += 1; // Invalidate existing JWTs
   await user.save();
+  await revokeSessions({ user: user._id }, 'password-reset');
+  await clearFailures(lockoutKeys('login', user.email, req).account); // Proving ownership of the email lifts a login lockout
 
   winston.info(`Password reset for user: ${user.email}`);
   return new ApiResponse(200, null, 'Password reset successfully');
@@ -1,4 +1,4 @@
-import { Call, pubsub, User, winston, ApiError, ApiResponse, asyncHandler } from '../lib.js';
+import { Call, pubsub, User, assertCanInteract, winston, ApiError, ApiResponse, asyncHandler } from '../lib.js';
 
 export const initiateCall = asyncHandler(async (req) => {
   const { receiverId, type } = req.body;
@@ -6,6 +6,7 @@ export const initiateCall = asyncHandler(async (req) => {
   if (!receiver) throw new ApiError(404, 'Receiver not found');
   if (receiver._id.toString() === req.userId) throw new ApiError(400, 'Cannot call yourself');
   if (!['audio', 'video'].includes(type)) throw new ApiError(400, 'Invalid call type');
+  await assertCanInteract(req.userId, receiverId, 'call');
 
   const call = new Call({ caller: req.userId, receiver: receiverId, type });
   await call.save();
@@ -0,0 +1,351 @@
+import {
+  GroupChat, Message, User, assertCanInteract, assertNoBlocksAmong, getBlockedUserIds, winston, pubsub, ApiError, ApiResponse, asyncHandler,
+  notificationController, messageController, mongoose,
+} from '../lib.js';
+import { validateAttachments, uploadAttachments, messagePreview } from '../utils/attachments.js';
+
+const MAX_GROUP_PARTICIPANTS = 8;
+
+const findGroupForParticipant = async (groupId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(groupId)) throw new ApiError(404, 'Group not found');
+  const group = await GroupChat.findOne({ _id: groupId, 'participants.user': userId });
+  if (!group) throw new ApiError(404, 'Group not found');
+  return group;
+};
+
+// Whoever adds someone must be able to message them directly, so groups only connect people through existing matches
+const assertCanAdd = async (userId, newUserIds, memberIds) => {
+  if (!Array.isArray(newUserIds) || !newUserIds.length) throw new ApiError(400, 'At least one user is required');
+  if (newUserIds.some(id => !mongoose.Types.ObjectId.isValid(id))) throw new ApiError(400, 'Invalid user id');
+  if (memberIds.length + newUserIds.length > MAX_GROUP_PARTICIPANTS) {
+    throw new ApiError(400, `Groups are limited to ${MAX_GROUP_PARTICIPANTS} participants`);
+  }
+  for (const id of newUserIds) await assertCanInteract(userId, id, 'invite');
+  await assertNoBlocksAmong(newUserIds, [...memberIds, ...newUserIds]);
+};
+
+const notifyAdded = async (group, inviterId, userIds) => {
+  const inviter = await User.findById(inviterId);
+  for (const userId of userIds) {
+    await notificationController.createNotification({
+      userId,
+      type: 'group',
+      message: `${inviter.name} added you to ${group.name || 'a group chat'}`,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/groups:
+ *   post:
+ *     summary: Create a group chat
+ *     description: For double dates and introductions. The creator can only add users they have matched with; a group holds at most 8 participants.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               participantIds:
+ *                 type: array
+ *                 items: { type: string }
+ *     responses:
+ *       200:
+ *         description: Group created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       403:
+ *         description: A participant is not a match or has a block with another participant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const createGroup = asyncHandler(async (req) => {
+  const { name, participantIds } = req.body || {};
+  const invitees = [...new Set((participantIds || []).map(String))].filter(id => id !== req.userId.toString());
+  await assertCanAdd(req.userId, invitees, [req.userId]);
+
+  const group = await GroupChat.create({
+    name,
+    creator: req.userId,
+    participants: [
+      { user: req.userId },
+      ...invitees.map(user => ({ user, invitedBy: req.userId })),
+    ],
+  });
+  winston.info(`Group ${group._id} created by ${req.userId} with ${invitees.length} invitees`);
+  await notifyAdded(group, req.userId, invitees);
+
+  return new ApiResponse(200, group, 'Group created successfully');
+});
+
+/**
+ * @swagger
+ * /api/groups:
+ *   get:
+ *     summary: List the user's group chats
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Groups retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const getGroups = asyncHandler(async (req) => {
+  const groups = await GroupChat.find({ 'participants.user': req.userId })
+    .sort({ lastMessageAt: -1, createdAt: -1 })
+    .populate('participants.user', 'name photoURL');
+  return new ApiResponse(200, groups, 'Groups retrieved successfully');
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/invite:
+ *   post:
+ *     summary: Add users to a group chat
+ *     description: Any participant can add users they have matched with.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items: { type: string }
+ *     responses:
+ *       200:
+ *         description: Users added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const inviteToGroup = asyncHandler(async (req) => {
+  const group = await findGroupForParticipant(req.params.groupId, req.userId);
+  const memberIds = group.participants.map(p => p.user.toString());
+  const invitees = [...new Set((req.body?.userIds || []).map(String))].filter(id => !memberIds.includes(id));
+  if (!invitees.length) throw new ApiError(400, 'These users are already in the group');
+  await assertCanAdd(req.userId, invitees, memberIds);
+
+  // Guarding on the size keeps concurrent invites from going over the limit
+  const updated = await GroupChat.findOneAndUpdate(
+    { _id: group._id, [`participants.${MAX_GROUP_PARTICIPANTS - invitees.length}`]: { $exists: false } },
+    { $push: { participants: { $each: invitees.map(user => ({ user, invitedBy: req.userId })) } } },
+    { new: true }
+  );
+  if (!updated) throw new ApiError(400, `Groups are limited to ${MAX_GROUP_PARTICIPANTS} participants`);
+  winston.info(`${req.userId} added ${invitees.length} users to group ${group._id}`);
+  await notifyAdded(updated, req.userId, invitees);
+
+  return new ApiResponse(200, updated, 'Users added successfully');
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/leave:
+ *   post:
+ *     summary: Leave a group chat
+ *     description: The group and its messages are deleted when the last participant leaves.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Left group successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const leaveGroup = asyncHandler(async (req) => {
+  const group = await findGroupForParticipant(req.params.groupId, req.userId);
+  const updated = await GroupChat.findByIdAndUpdate(
+    group._id,
+    { $pull: { participants: { user: req.userId } } },
+    { new: true }
+  );
+  if (!updated.participants.length) {
+    await Message.deleteMany({ group: group._id });
+    await GroupChat.deleteOne({ _id: group._id });
+    winston.info(`Group ${group._id} deleted after its last participant left`);
+  } else {
+    winston.info(`${req.userId} left group ${group._id}`);
+  }
+  return new ApiResponse(200, null, 'Left group successfully');
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages:
+ *   get:
+ *     summary: Get a page of a group chat
+ *     description: Returns messages in chronological order, leaving out messages from users blocked in either direction. Pass nextCursor as before to load older messages.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Load messages older than this message id
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: "Page size (default: 30, max: 100)"
+ *     responses:
+ *       200:
+ *         description: Group messages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const getGroupMessages = asyncHandler(async (req) => {
+  const group = await findGroupForParticipant(req.params.groupId, req.userId);
+  // A block made after both joined hides each side's group messages from the other
+  const blockedIds = await getBlockedUserIds(req.userId);
+  const page = await messageController.getMessagePage({ group: group._id, sender: { $nin: blockedIds } }, req.userId, req.query);
+  return new ApiResponse(200, page, 'Group messages retrieved successfully');
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages:
+ *   post:
+ *     summary: Send a message to a group chat
+ *     description: Delivered to every other participant except those with a block in either direction. Attachments follow the same limits as direct messages.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text: { type: string }
+ *               attachments:
+ *                 type: array
+ *                 items: { type: string, format: binary }
+ *     responses:
+ *       200:
+ *         description: Message sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const sendGroupMessage = asyncHandler(async (req) => {
+  const { text } = req.body || {};
+  const files = [...(req.files?.attachments || [])];
+  if (!text?.trim() && !files.length) throw new ApiError(400, 'Message must contain text or an attachment');
+  validateAttachments(files);
+  const group = await findGroupForParticipant(req.params.groupId, req.userId);
+
+  const attachments = await uploadAttachments(files);
+
+  const message = await Message.create({
+    sender: req.userId,
+    group: group._id,
+    text: text || '',
+    mediaURL: attachments.find(a => a.type === 'image')?.url,
+    attachments,
+  });
+  // Sending counts as having read everything before it
+  await GroupChat.updateOne(
+    { _id: group._id, 'participants.user': req.userId },
+    { lastMessageAt: message.timestamp, 'participants.$.lastReadAt': message.timestamp }
+  );
+  winston.info(`Message sent from ${req.userId} to group ${group._id}`);
+
+  const sender = await User.findById(req.userId);
+  const hiddenFrom = [req.userId, ...await getBlockedUserIds(req.userId)].map(String);
+  const recipientIds = group.participants.map(p => p.user.toString()).filter(id => !hiddenFrom.includes(id));
+  for (const recipientId of recipientIds) {
+    pubsub.publish('MESSAGE_RECEIVED', { messageReceived: message, recipientId });
+    await notificationController.createNotification({
+      userId: recipientId,
+      type: 'message',
+      message: `New message from ${sender.name} in ${group.name || 'your group'}${text?.trim() ? '' : `: ${messagePreview(message)}`}`,
+    });
+  }
+
+  return new ApiResponse(200, message, 'Message sent successfully');
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/read:
+ *   put:
+ *     summary: Mark a group chat as read
+ *     description: Read state is kept per participant, so this only affects the current user.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Group marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const markGroupRead = asyncHandler(async (req) => {
+  const group = await findGroupForParticipant(req.params.groupId, req.userId);
+  const readAt = new Date();
+  await GroupChat.updateOne(
+    { _id: group._id, 'participants.user': req.userId },
+    { 'participants.$.lastReadAt': readAt }
+  );
+  return new ApiResponse(200, { groupId: group._id, readAt }, 'Group marked as read');
+});
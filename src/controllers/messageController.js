@@ -1,11 +1,14 @@
-import { Message, Confession, User, winston, pubsub, ApiError, ApiResponse, asyncHandler, notificationController, mongoose } from '../lib.js';
-import { uploadToCloudinary } from '../utils/cloudinary.js';
+import { Message, Confession, ScheduledMessage, GroupChat, User, assertCanInteract, getBlockedUserIds, consumeQuota, setQuotaHeaders, isOnline, winston, pubsub, ApiError, ApiResponse, asyncHandler, notificationController, mongoose } from '../lib.js';
+import { validateAttachments, uploadAttachments, messagePreview } from '../utils/attachments.js';
+import { buildSnippet } from '../utils/searchSnippet.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
 
 /**
  * @swagger
  * /api/messages:
  *   post:
- *     summary: Send a message (text or image)
+ *     summary: Send a message (text, images, videos or voice notes)
+ *     description: Only allowed between matched users or within a confession thread. Up to 10 attachments; voice notes are limited in size and duration. Pass a future sendAt to schedule the message instead of sending it now.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -18,51 +21,246 @@ import { uploadToCloudinary } from '../utils/cloudinary.js';
  *             properties:
  *               receiverId: { type: string }
  *               text: { type: string }
+ *               sendAt: { type: string, format: date-time }
  *               image: { type: string, format: binary }
+ *               attachments:
+ *                 type: array
+ *                 items: { type: string, format: binary }
  *     responses:
  *       200:
- *         description: Message sent successfully
+ *         description: Message sent or scheduled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Empty message, invalid attachment or sendAt in the past
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       403:
+ *         description: Users are not matched
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
  */
-export const sendMessage = asyncHandler(async (req) => {
-  const { receiverId, text } = req.body;
-  const file = req.file; // Expect file from multipart/form-data
-
-  if (!text?.trim() && !file) throw new ApiError(400, 'Message must contain text or an image');
-
-  let mediaURL;
-  if (file) {
-    mediaURL = await uploadToCloudinary(file.path, { folder: 'lif_messages' });
-  }
-
+// Saves a message and notifies the receiver; shared by sendMessage and the scheduled message worker
+export const deliverMessage = async ({ senderId, receiverId, text, attachments }) => {
   const message = new Message({
-    sender: req.userId,
+    sender: senderId,
     receiver: receiverId,
     text: text || '',
-    mediaURL,
+    mediaURL: attachments.find(a => a.type === 'image')?.url,
+    attachments,
   });
   await message.save();
-  winston.info(`Message sent from ${req.userId} to ${receiverId}${file ? ' with image' : ''}`);
+  winston.info(`Message sent from ${senderId} to ${receiverId}${attachments.length ? ` with ${attachments.length} attachments` : ''}`);
   pubsub.publish('MESSAGE_RECEIVED', { messageReceived: message });
 
-  const sender = await User.findById(req.userId);
+  const sender = await User.findById(senderId);
   await notificationController.createNotification({
     userId: receiverId,
     type: 'message',
-    message: `New message from ${sender.name}${file ? ' (with image)' : ''}`,
+    message: `New message from ${sender.name}${text?.trim() ? '' : `: ${messagePreview(message)}`}`,
   });
+  return message;
+};
+
+const parseSendAt = (sendAt) => {
+  const date = new Date(sendAt);
+  if (Number.isNaN(date.getTime())) throw new ApiError(400, 'Invalid sendAt');
+  if (date <= new Date()) throw new ApiError(400, 'sendAt must be in the future');
+  return date;
+};
+
+export const sendMessage = asyncHandler(async (req) => {
+  const { receiverId, text, sendAt } = req.body;
+  // Files from multipart/form-data: the legacy single "image" field and the "attachments" array
+  const files = [req.file, ...(req.files?.image || []), ...(req.files?.attachments || [])].filter(Boolean);
+
+  if (!text?.trim() && !files.length) throw new ApiError(400, 'Message must contain text or an attachment');
+  validateAttachments(files);
+  const scheduledFor = sendAt ? parseSendAt(sendAt) : null;
+  await assertCanInteract(req.userId, receiverId, 'message');
+
+  const attachments = await uploadAttachments(files);
 
+  if (scheduledFor) {
+    const scheduled = await ScheduledMessage.create({
+      sender: req.userId,
+      receiver: receiverId,
+      text: text || '',
+      attachments,
+      sendAt: scheduledFor,
+    });
+    winston.info(`Message from ${req.userId} to ${receiverId} scheduled for ${scheduledFor.toISOString()}`);
+    return new ApiResponse(200, scheduled, 'Message scheduled successfully');
+  }
+
+  const message = await deliverMessage({ senderId: req.userId, receiverId, text, attachments });
   return new ApiResponse(200, message, 'Message sent successfully');
 });
 
+/**
+ * @swagger
+ * /api/messages/scheduled:
+ *   get:
+ *     summary: List the user's pending scheduled messages
+ *     description: Returns messages that have not been sent yet, soonest first.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scheduled messages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const getScheduledMessages = asyncHandler(async (req) => {
+  const scheduled = await ScheduledMessage.find({ sender: req.userId, status: 'pending' })
+    .sort({ sendAt: 1 })
+    .populate('receiver', 'name photoURL');
+  return new ApiResponse(200, scheduled, 'Scheduled messages retrieved successfully');
+});
+
+/**
+ * @swagger
+ * /api/messages/scheduled/{scheduledId}:
+ *   put:
+ *     summary: Edit a pending scheduled message
+ *     description: Changes the text and/or the send time. Only possible until the message has been sent.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduledId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text: { type: string }
+ *               sendAt: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Scheduled message updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       404:
+ *         description: Pending scheduled message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const updateScheduledMessage = asyncHandler(async (req) => {
+  const { scheduledId } = req.params;
+  const { text, sendAt } = req.body || {};
+  if (!mongoose.Types.ObjectId.isValid(scheduledId)) throw new ApiError(400, 'Invalid scheduled message id');
+  if (text === undefined && sendAt === undefined) throw new ApiError(400, 'Nothing to update');
+
+  const update = {};
+  if (sendAt !== undefined) update.sendAt = parseSendAt(sendAt);
+  if (text !== undefined) update.text = text;
+
+  // Matching on status keeps the update from landing after the scheduler has claimed the message
+  const filter = { _id: scheduledId, sender: req.userId, status: 'pending' };
+  if (text !== undefined && !text.trim()) filter['attachments.0'] = { $exists: true };
+  const scheduled = await ScheduledMessage.findOneAndUpdate(filter, update, { new: true });
+  if (!scheduled) {
+    const pending = await ScheduledMessage.exists({ _id: scheduledId, sender: req.userId, status: 'pending' });
+    if (pending) throw new ApiError(400, 'Message must contain text or an attachment');
+    throw new ApiError(404, 'Pending scheduled message not found');
+  }
+
+  winston.info(`Scheduled message ${scheduledId} updated by ${req.userId}`);
+  return new ApiResponse(200, scheduled, 'Scheduled message updated successfully');
+});
+
+/**
+ * @swagger
+ * /api/messages/scheduled/{scheduledId}:
+ *   delete:
+ *     summary: Cancel a pending scheduled message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduledId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled message cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       404:
+ *         description: Pending scheduled message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const cancelScheduledMessage = asyncHandler(async (req) => {
+  const { scheduledId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(scheduledId)) throw new ApiError(400, 'Invalid scheduled message id');
+
+  const scheduled = await ScheduledMessage.findOneAndUpdate(
+    { _id: scheduledId, sender: req.userId, status: 'pending' },
+    { status: 'cancelled' },
+    { new: true }
+  );
+  if (!scheduled) throw new ApiError(404, 'Pending scheduled message not found');
+
+  winston.info(`Scheduled message ${scheduledId} cancelled by ${req.userId}`);
+  return new ApiResponse(200, scheduled, 'Scheduled message cancelled successfully');
+});
+
+// Loads a page of a thread (1:1 or group) in chronological order, older than the `before` message
+export const getMessagePage = async (thread, userId, { before, limit = 30 } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 30, 1), 100);
+  const query = { ...thread, deletedFor: { $ne: userId } };
+  if (before) {
+    if (!mongoose.Types.ObjectId.isValid(before)) throw new ApiError(400, 'Invalid cursor');
+    const anchor = await Message.findOne({ _id: before, ...thread });
+    if (!anchor) throw new ApiError(400, 'Invalid cursor');
+    query.$and = [{
+      $or: [
+        { timestamp: { $lt: anchor.timestamp } },
+        { timestamp: anchor.timestamp, _id: { $lt: anchor._id } },
+      ],
+    }];
+  }
+
+  const newestFirst = await Message.find(query).sort({ timestamp: -1, _id: -1 }).limit(pageSize + 1);
+  const hasMore = newestFirst.length > pageSize;
+  const messages = newestFirst.slice(0, pageSize).reverse();
+  const nextCursor = hasMore ? messages[0]._id : null;
+  return { messages, hasMore, nextCursor };
+};
+
 /**
  * @swagger
  * /api/messages/conversation/{userId}:
  *   get:
  *     summary: Get conversation with a user
+ *     description: Returns a page of messages in chronological order. Pass nextCursor as before to load older messages.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -72,6 +270,16 @@ export const sendMessage = asyncHandler(async (req) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Load messages older than this message id
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: "Page size (default: 30, max: 100)"
  *     responses:
  *       200:
  *         description: Conversation retrieved successfully
@@ -81,20 +289,168 @@ export const sendMessage = asyncHandler(async (req) => {
  *               $ref: '#/components/schemas/ApiResponse'
  */
 export const getConversation = asyncHandler(async (req) => {
-  const messages = await Message.find({
+  const thread = {
     $or: [
       { sender: req.userId, receiver: req.params.userId },
       { sender: req.params.userId, receiver: req.userId },
     ],
-  }).sort('timestamp');
-  return new ApiResponse(200, messages, 'Conversation retrieved successfully');
+  };
+  const page = await getMessagePage(thread, req.userId, req.query);
+  return new ApiResponse(200, page, 'Conversation retrieved successfully');
+});
+
+/**
+ * @swagger
+ * /api/messages/search:
+ *   get:
+ *     summary: Search the user's messages
+ *     description: Full-text search over messages the user sent or received, best matches first, with highlighted snippets.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Only search the conversation with this user
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: "Page size (default: 20, max: 50)"
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from the previous page's nextCursor
+ *     responses:
+ *       200:
+ *         description: Search results retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const searchMessages = asyncHandler(async (req) => {
+  const { q, userId: partnerId, from, to, cursor, limit = 20 } = req.query || {};
+  if (!q?.trim()) throw new ApiError(400, 'Search query is required');
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+  const offset = decodeCursor(cursor)?.offset || 0;
+  const [groupIds, blockedIds] = partnerId ? [[], []] : await Promise.all([getGroupIds(req.userId), getBlockedUserIds(req.userId)]);
+
+  // Only messages the caller sent or received, and has not deleted for themselves
+  const query = {
+    $text: { $search: q },
+    $or: partnerId
+      ? [{ sender: req.userId, receiver: partnerId }, { sender: partnerId, receiver: req.userId }]
+      : [{ sender: req.userId }, { receiver: req.userId }, { group: { $in: groupIds }, sender: { $nin: blockedIds } }],
+    deletedFor: { $ne: req.userId },
+    unsent: { $ne: true },
+  };
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = new Date(from);
+    if (to) query.timestamp.$lte = new Date(to);
+    if (Object.values(query.timestamp).some(date => Number.isNaN(date.getTime()))) throw new ApiError(400, 'Invalid date range');
+  }
+
+  const messages = await Message.find(query, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' }, timestamp: -1 })
+    .skip(offset)
+    .limit(pageSize + 1);
+  const page = messages.slice(0, pageSize);
+
+  const results = page.map(message => ({
+    messageId: message._id,
+    sender: message.sender,
+    receiver: message.receiver,
+    group: message.group,
+    timestamp: message.timestamp,
+    snippet: buildSnippet(message.text, q),
+  }));
+  const nextCursor = messages.length > pageSize ? encodeCursor({ offset: offset + pageSize }) : null;
+  return new ApiResponse(200, { results, nextCursor }, 'Search results retrieved successfully');
 });
 
+const getGroupIds = async (userId) => (await GroupChat.find({ 'participants.user': userId }).select('_id')).map(group => group._id);
+
+// Inbox entries for the user's group chats; unread counts start from the user's own lastReadAt
+const getGroupThreads = async (userId) => {
+  const groups = await GroupChat.find({ 'participants.user': userId }).populate('participants.user', 'name photoURL');
+  if (!groups.length) return [];
+  const me = userId.toString();
+  const ownParticipant = (group) => group.participants.find(p => p.user?._id.toString() === me);
+  const notDeleted = { deletedFor: { $ne: mongoose.Types.ObjectId(userId) } };
+  const blockedIds = await getBlockedUserIds(userId);
+
+  const [lastMessages, unreadCounts] = await Promise.all([
+    Message.aggregate([
+      { $match: { group: { $in: groups.map(group => group._id) }, sender: { $nin: blockedIds }, ...notDeleted } },
+      { $sort: { timestamp: -1 } },
+      { $group: { _id: '$group', message: { $first: '$$ROOT' } } },
+    ]),
+    Message.aggregate([
+      {
+        $match: {
+          $or: groups.map(group => ({ group: group._id, timestamp: { $gt: ownParticipant(group).lastReadAt } })),
+          sender: { $nin: [mongoose.Types.ObjectId(userId), ...blockedIds] },
+          ...notDeleted,
+        },
+      },
+      { $group: { _id: '$group', count: { $sum: 1 } } },
+    ]),
+  ]);
+  const lastByGroup = new Map(lastMessages.map(({ _id, message }) => [_id.toString(), message]));
+  const unreadByGroup = new Map(unreadCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+  return groups.map(group => {
+    const last = lastByGroup.get(group._id.toString());
+    const others = group.participants.filter(p => p.user && p.user._id.toString() !== me);
+    return {
+      groupId: group._id,
+      isGroup: true,
+      name: group.name || others.map(p => p.user.name).join(', '),
+      participants: group.participants.filter(p => p.user).map(p => ({
+        userId: p.user._id,
+        name: p.user.name,
+        photoURL: p.user.photoURL,
+        online: isOnline(p.user._id),
+      })),
+      lastMessage: last?.text || '',
+      lastMediaURL: last?.mediaURL,
+      lastMessagePreview: last ? messagePreview(last) : '',
+      // A group message counts as read once every other participant has opened the group after it
+      lastMessageStatus: last && last.sender.toString() === me
+        ? (others.every(p => p.lastReadAt >= last.timestamp) ? 'read' : 'sent')
+        : null,
+      timestamp: last?.timestamp || group.createdAt,
+      unreadCount: unreadByGroup.get(group._id.toString()) || 0,
+    };
+  });
+};
+
 /**
  * @swagger
  * /api/messages/inbox:
  *   get:
  *     summary: Get all conversations for the user (inbox)
+ *     description: Mixes 1:1 conversations and group chats, most recent first. 1:1 conversations include the other user's online status and lastActive time; group chats (isGroup) include their participants. lastMessageStatus is set when the user sent the last message.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -108,10 +464,13 @@ export const getConversation = asyncHandler(async (req) => {
  */
 export const getInbox = asyncHandler(async (req) => {
   const userId = req.userId;
+  const blockedIds = await getBlockedUserIds(userId);
   const conversations = await Message.aggregate([
     {
       $match: {
         $or: [{ sender: mongoose.Types.ObjectId(userId) }, { receiver: mongoose.Types.ObjectId(userId) }],
+        group: null,
+        deletedFor: { $ne: mongoose.Types.ObjectId(userId) },
       },
     },
     {
@@ -124,12 +483,18 @@ export const getInbox = asyncHandler(async (req) => {
         },
         lastMessage: { $first: '$text' },
         lastMediaURL: { $first: '$mediaURL' }, // Include last image if present
+        lastAttachments: { $first: { $ifNull: ['$attachments', []] } },
+        lastUnsent: { $first: '$unsent' },
         timestamp: { $first: '$timestamp' },
+        lastSender: { $first: '$sender' },
+        lastDelivered: { $first: '$delivered' },
+        lastRead: { $first: '$read' },
         unreadCount: {
           $sum: { $cond: [{ $and: [{ $eq: ['$receiver', mongoose.Types.ObjectId(userId)] }, { $eq: ['$read', false] }] }, 1, 0] },
         },
       },
     },
+    { $match: { _id: { $nin: blockedIds } } },
     {
       $lookup: {
         from: 'users',
@@ -144,14 +509,38 @@ export const getInbox = asyncHandler(async (req) => {
         userId: '$_id',
         name: '$user.name',
         photoURL: '$user.photoURL',
+        lastActive: '$user.lastActive',
         lastMessage: 1,
         lastMediaURL: 1,
+        lastAttachments: 1,
+        lastUnsent: 1,
         timestamp: 1,
         unreadCount: 1,
+        // Delivery state of the last message, only meaningful when the user sent it
+        lastMessageStatus: {
+          $cond: [
+            { $eq: ['$lastSender', mongoose.Types.ObjectId(userId)] },
+            { $cond: ['$lastRead', 'read', { $cond: ['$lastDelivered', 'delivered', 'sent'] }] },
+            null,
+          ],
+        },
       },
     },
   ]);
-  return new ApiResponse(200, conversations, 'Inbox retrieved successfully');
+  const directThreads = conversations.map(({ lastAttachments, lastUnsent, ...conversation }) => ({
+    ...conversation,
+    isGroup: false,
+    lastMessagePreview: messagePreview({
+      text: conversation.lastMessage,
+      attachments: lastAttachments,
+      mediaURL: conversation.lastMediaURL,
+      unsent: lastUnsent,
+    }),
+    online: isOnline(conversation.userId),
+  }));
+  const groupThreads = await getGroupThreads(userId);
+  const inbox = [...directThreads, ...groupThreads].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  return new ApiResponse(200, inbox, 'Inbox retrieved successfully');
 });
 
 /**
@@ -159,6 +548,7 @@ export const getInbox = asyncHandler(async (req) => {
  * /api/messages/conversation/{userId}:
  *   delete:
  *     summary: Delete a conversation with a user
+ *     description: By default the conversation is only hidden for the requesting user. Set forEveryone to delete it for both participants.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -168,6 +558,11 @@ export const getInbox = asyncHandler(async (req) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: forEveryone
+ *         schema:
+ *           type: boolean
+ *         description: Delete the messages for both participants
  *     responses:
  *       200:
  *         description: Conversation deleted successfully
@@ -178,16 +573,31 @@ export const getInbox = asyncHandler(async (req) => {
  */
 export const deleteConversation = asyncHandler(async (req) => {
   const { userId: otherUserId } = req.params;
-  await Message.deleteMany({
+  const forEveryone = req.query?.forEveryone === true || req.query?.forEveryone === 'true';
+  const thread = {
     $or: [
       { sender: req.userId, receiver: otherUserId },
       { sender: otherUserId, receiver: req.userId },
     ],
-  });
-  winston.info(`Conversation between ${req.userId} and ${otherUserId} deleted`);
+  };
+
+  if (forEveryone) {
+    await Message.deleteMany(thread);
+    winston.info(`Conversation between ${req.userId} and ${otherUserId} deleted for everyone`);
+    return new ApiResponse(200, null, 'Conversation deleted for everyone');
+  }
+
+  await Message.updateMany(thread, { $addToSet: { deletedFor: req.userId } });
+  // Once both participants have deleted a message there is nothing left to keep
+  await Message.deleteMany({ ...thread, deletedFor: { $all: [req.userId, otherUserId] } });
+  winston.info(`Conversation with ${otherUserId} deleted for user ${req.userId}`);
   return new ApiResponse(200, null, 'Conversation deleted successfully');
 });
 
+const publishMessageStatus = (senderId, receiverId, messageIds, status, at) => {
+  pubsub.publish('MESSAGE_STATUS', { messageStatusChanged: { senderId, receiverId, messageIds, status, at } });
+};
+
 /**
  * @swagger
  * /api/messages/conversation/{userId}/read:
@@ -212,19 +622,282 @@ export const deleteConversation = asyncHandler(async (req) => {
  */
 export const markMessagesRead = asyncHandler(async (req) => {
   const { userId: senderId } = req.params;
+  const now = new Date();
+  const unread = await Message.find({ sender: senderId, receiver: req.userId, read: false }).select('_id');
+  const messageIds = unread.map(m => m._id);
+  // Reading a message implies it was delivered
   await Message.updateMany(
-    { sender: senderId, receiver: req.userId, read: false },
-    { read: true, readAt: new Date() }
+    { _id: { $in: messageIds } },
+    [{ $set: { read: true, readAt: now, delivered: true, deliveredAt: { $ifNull: ['$deliveredAt', now] } } }]
   );
+  if (messageIds.length) publishMessageStatus(senderId, req.userId, messageIds, 'read', now);
   winston.info(`Messages from ${senderId} to ${req.userId} marked as read`);
   return new ApiResponse(200, null, 'Messages marked as read');
 });
 
+/**
+ * @swagger
+ * /api/messages/delivered:
+ *   put:
+ *     summary: Acknowledge delivery of received messages
+ *     description: Called by clients that receive messages over the GraphQL subscription. Socket.IO clients acknowledge automatically.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               messageIds: { type: array, items: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Messages marked as delivered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const markMessagesDelivered = asyncHandler(async (req) => {
+  const { messageIds = [] } = req.body;
+  if (!Array.isArray(messageIds)) throw new ApiError(400, 'messageIds must be an array');
+  const validIds = messageIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  const undelivered = await Message.find({ _id: { $in: validIds }, receiver: req.userId, delivered: { $ne: true } }).select('_id sender');
+  if (!undelivered.length) return new ApiResponse(200, { delivered: 0 }, 'Messages marked as delivered');
+
+  const now = new Date();
+  await Message.updateMany({ _id: { $in: undelivered.map(m => m._id) } }, { delivered: true, deliveredAt: now });
+
+  const bySender = {};
+  undelivered.forEach(m => (bySender[m.sender.toString()] ||= []).push(m._id));
+  Object.entries(bySender).forEach(([senderId, ids]) => publishMessageStatus(senderId, req.userId, ids, 'delivered', now));
+
+  winston.info(`${undelivered.length} messages delivered to ${req.userId}`);
+  return new ApiResponse(200, { delivered: undelivered.length }, 'Messages marked as delivered');
+});
+
+// Senders may edit a message for MESSAGE_EDIT_WINDOW_MINUTES (default 15) after sending it
+const getEditWindowMs = () => (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+const findParticipantMessage = async (messageId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) throw new ApiError(404, 'Message not found');
+  const message = await Message.findById(messageId);
+  const isParticipant = message && (message.group
+    ? await GroupChat.exists({ _id: message.group, 'participants.user': userId })
+    : [message.sender, message.receiver].some(id => id?.toString() === userId.toString()));
+  if (!isParticipant) throw new ApiError(404, 'Message not found');
+  return message;
+};
+
+// Everyone who can see the message: both sides of a 1:1 thread, or the group's current participants without a block with the sender
+const getThreadUserIds = async (message) => {
+  if (!message.group) return [message.sender.toString(), message.receiver.toString()];
+  const [group, blockedIds] = await Promise.all([
+    GroupChat.findById(message.group).select('participants.user'),
+    getBlockedUserIds(message.sender),
+  ]);
+  const hidden = blockedIds.map(String);
+  return (group?.participants || []).map(p => p.user.toString()).filter(id => !hidden.includes(id));
+};
+
+const publishMessageUpdate = async (type, message) => {
+  const userIds = await getThreadUserIds(message);
+  pubsub.publish('MESSAGE_UPDATED', { messageUpdated: { type, message }, userIds });
+};
+
+/**
+ * @swagger
+ * /api/messages/{messageId}:
+ *   put:
+ *     summary: Edit a sent message
+ *     description: Only the sender can edit, within the edit window. Previous versions are kept in editHistory.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text: { type: string }
+ *     responses:
+ *       200:
+ *         description: Message edited successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const editMessage = asyncHandler(async (req) => {
+  const { messageId } = req.params;
+  const { text } = req.body;
+  if (!text?.trim()) throw new ApiError(400, 'Message text cannot be empty');
+
+  const message = await findParticipantMessage(messageId, req.userId);
+  if (message.sender.toString() !== req.userId.toString()) throw new ApiError(403, 'Only the sender can edit this message');
+  if (message.unsent) throw new ApiError(400, 'Message was unsent');
+  if (Date.now() - new Date(message.timestamp) > getEditWindowMs()) throw new ApiError(400, 'Edit period expired');
+
+  message.editHistory.push({ text: message.text, editedAt: new Date() });
+  message.text = text;
+  message.editedAt = new Date();
+  await message.save();
+  winston.info(`Message ${messageId} edited by ${req.userId}`);
+  await publishMessageUpdate('edited', message);
+
+  return new ApiResponse(200, message, 'Message edited successfully');
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}:
+ *   delete:
+ *     summary: Unsend a message for both participants
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message unsent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const unsendMessage = asyncHandler(async (req) => {
+  const { messageId } = req.params;
+  const message = await findParticipantMessage(messageId, req.userId);
+  if (message.sender.toString() !== req.userId.toString()) throw new ApiError(403, 'Only the sender can unsend this message');
+  if (message.unsent) throw new ApiError(400, 'Message already unsent');
+
+  message.text = '';
+  message.mediaURL = undefined;
+  message.attachments = [];
+  message.editHistory = [];
+  message.reactions = [];
+  message.unsent = true;
+  message.unsentAt = new Date();
+  await message.save();
+  winston.info(`Message ${messageId} unsent by ${req.userId}`);
+  await publishMessageUpdate('unsent', message);
+
+  return new ApiResponse(200, message, 'Message unsent successfully');
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/reactions:
+ *   post:
+ *     summary: React to a message with an emoji
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               emoji: { type: string }
+ *     responses:
+ *       200:
+ *         description: Reaction added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const addReaction = asyncHandler(async (req) => {
+  const { messageId } = req.params;
+  const emoji = req.body.emoji?.trim();
+  if (!emoji || emoji.length > 16) throw new ApiError(400, 'Invalid emoji');
+
+  const message = await findParticipantMessage(messageId, req.userId);
+  if (message.unsent) throw new ApiError(400, 'Message was unsent');
+
+  const alreadyReacted = message.reactions.some(r => r.user.toString() === req.userId.toString() && r.emoji === emoji);
+  if (!alreadyReacted) {
+    message.reactions.push({ user: req.userId, emoji });
+    await message.save();
+    winston.info(`User ${req.userId} reacted ${emoji} to message ${messageId}`);
+    await publishMessageUpdate('reaction', message);
+  }
+
+  return new ApiResponse(200, message, 'Reaction added successfully');
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/reactions/{emoji}:
+ *   delete:
+ *     summary: Remove your emoji reaction from a message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: emoji
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reaction removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const removeReaction = asyncHandler(async (req) => {
+  const { messageId, emoji } = req.params;
+  const message = await findParticipantMessage(messageId, req.userId);
+
+  const remaining = message.reactions.filter(r => !(r.user.toString() === req.userId.toString() && r.emoji === emoji));
+  if (remaining.length === message.reactions.length) throw new ApiError(404, 'Reaction not found');
+
+  message.reactions = remaining;
+  await message.save();
+  winston.info(`User ${req.userId} removed ${emoji} reaction from message ${messageId}`);
+  await publishMessageUpdate('reaction', message);
+
+  return new ApiResponse(200, message, 'Reaction removed successfully');
+});
+
 /**
  * @swagger
  * /api/messages/confession:
  *   post:
  *     summary: Send a confession to a random user
+ *     description: Counts against the daily confession quota, reported in the X-Quota-* response headers.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -243,14 +916,23 @@ export const markMessagesRead = asyncHandler(async (req) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
+ *       429:
+ *         description: Daily confession quota reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
  */
 export const sendConfession = asyncHandler(async (req) => {
   const { text } = req.body;
   if (!text.trim()) throw new ApiError(400, 'Confession text cannot be empty');
+  await consumeQuota(req.userId, 'confessions');
+  await setQuotaHeaders(req);
   const confession = new Confession({ text, sender: req.userId });
   await confession.save();
 
-  const users = await User.find({ _id: { $ne: req.userId }, hiatus: false });
+  const blockedIds = await getBlockedUserIds(req.userId);
+  const users = await User.find({ _id: { $nin: [req.userId, ...blockedIds] }, hiatus: false });
   const randomUser = users[Math.floor(Math.random() * users.length)];
   const message = new Message({ sender: req.userId, receiver: randomUser._id, text, isConfession: true });
   await message.save();
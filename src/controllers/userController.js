@@ -1,11 +1,17 @@
-import { User, Match, Message, Like, winston, ApiError, ApiResponse, asyncHandler, pubsub } from '../lib.js';
+import {
+  User, Match, Message, ScheduledMessage, GroupChat, Session, PhoneOtp, Like, Pass, Swipe, Unmatch, Block, Call, Notification, winston, ApiError, ApiResponse, asyncHandler, pubsub,
+  notificationController, assertNotBlocked, getBlockedUserIds, consumeQuota, releaseQuota, getQuotaStatus, setQuotaHeaders,
+} from '../lib.js';
 import { uploadToCloudinary } from '../utils/cloudinary.js';
+import { rankProfiles, rankedAfter, getExcludedUserIds, getSuperLikerIds, DISCOVERY_POOL_SIZE } from '../utils/discovery.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
 
 /**
  * @swagger
  * /api/users/profiles:
  *   get:
- *     summary: Get user profiles based on filters
+ *     summary: Get a ranked feed of user profiles based on filters
+ *     description: Nearby candidates are ranked by distance, shared interests, matching preferences, recent activity and active boosts, with people who super-liked the user first. Profiles the user already liked, marked as maybe, matched with or reported are excluded.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -14,27 +20,42 @@ import { uploadToCloudinary } from '../utils/cloudinary.js';
  *         name: maxDistance
  *         schema:
  *           type: number
- *         description: Max distance in km (default: 50)
+ *         description: "Max distance in km (default: 50)"
  *       - in: query
  *         name: minAge
  *         schema:
  *           type: integer
- *         description: Min age (default: 18)
+ *         description: "Min age (default: 18)"
  *       - in: query
  *         name: maxAge
  *         schema:
  *           type: integer
- *         description: Max age (default: 100)
+ *         description: "Max age (default: 100)"
  *       - in: query
  *         name: gender
  *         schema:
  *           type: string
- *         description: Gender (default: all)
+ *         description: "Gender (default: all)"
  *       - in: query
  *         name: preferences
  *         schema:
  *           type: string
- *         description: Preference (default: all)
+ *         description: "Preference (default: all)"
+ *       - in: query
+ *         name: explain
+ *         schema:
+ *           type: boolean
+ *         description: Return each profile with its score breakdown instead of the bare profile
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: "Page size (default: 10, max: 50)"
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from the previous page's nextCursor
  *     responses:
  *       200:
  *         description: Profiles retrieved successfully
@@ -44,12 +65,17 @@ import { uploadToCloudinary } from '../utils/cloudinary.js';
  *               $ref: '#/components/schemas/ApiResponse'
  */
 export const getProfiles = asyncHandler(async (req) => {
-  const { lat, lng, maxDistance = 50, minAge = 18, maxAge = 100, gender, interests, preferences, ethnicity, education, smoking } = req.query;
+  const { lat, lng, maxDistance = 50, minAge = 18, maxAge = 100, gender, interests, preferences, ethnicity, education, smoking, explain, cursor, limit = 10 } = req.query;
   const user = await User.findById(req.userId);
   if (!user) throw new ApiError(404, 'User not found');
 
+  const after = decodeCursor(cursor);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+  const excludedIds = await getExcludedUserIds(req.userId);
+  const superLikerIds = await getSuperLikerIds(req.userId);
+
   const query = {
-    _id: { $ne: req.userId },
+    _id: { $nin: excludedIds },
     hiatus: false,
     location: { $near: { $geometry: { type: 'Point', coordinates: [parseFloat(lng), parseFloat(lat)] }, $maxDistance: maxDistance * 1000 } },
     age: { $gte: minAge, $lte: maxAge },
@@ -61,8 +87,21 @@ export const getProfiles = asyncHandler(async (req) => {
   if (education) query.education = education;
   if (smoking !== undefined) query.smoking = smoking === 'true';
 
-  const profiles = await User.find(query).limit(10);
-  return new ApiResponse(200, profiles, 'Profiles retrieved successfully');
+  const candidates = await User.find(query).limit(DISCOVERY_POOL_SIZE);
+  // Score the whole deck at the time of the first page so later pages keep the same order
+  const now = after?.t || Date.now();
+  const ranked = rankedAfter(rankProfiles(candidates, user, {
+    origin: [parseFloat(lng), parseFloat(lat)],
+    maxDistance: parseFloat(maxDistance),
+    superLikerIds,
+    now,
+  }), after);
+  const page = ranked.slice(0, pageSize);
+
+  const last = page[page.length - 1];
+  const nextCursor = ranked.length > pageSize ? encodeCursor({ score: last.score, id: last.profile._id.toString(), t: now }) : null;
+  const profiles = explain === true || explain === 'true' ? page : page.map(({ profile }) => profile);
+  return new ApiResponse(200, { profiles, nextCursor }, 'Profiles retrieved successfully');
 });
 
 /**
@@ -150,8 +189,16 @@ export const deleteProfile = asyncHandler(async (req) => {
   if (!user) throw new ApiError(404, 'User not found');
 
   await Message.deleteMany({ $or: [{ sender: req.userId }, { receiver: req.userId }] });
+  await ScheduledMessage.deleteMany({ $or: [{ sender: req.userId }, { receiver: req.userId }] });
   await Match.deleteMany({ users: req.userId });
   await Like.deleteMany({ $or: [{ liker: req.userId }, { likee: req.userId }] });
+  await Pass.deleteMany({ $or: [{ passer: req.userId }, { passee: req.userId }] });
+  await Swipe.deleteMany({ $or: [{ user: req.userId }, { target: req.userId }] });
+  await Unmatch.deleteMany({ users: req.userId });
+  await Session.deleteMany({ user: req.userId });
+  await PhoneOtp.deleteMany({ user: req.userId });
+  await GroupChat.updateMany({ 'participants.user': req.userId }, { $pull: { participants: { user: req.userId } } });
+  await Block.deleteMany({ $or: [{ blocker: req.userId }, { blocked: req.userId }] });
   await Confession.deleteMany({ sender: req.userId });
   await SafetyReport.deleteMany({ $or: [{ userId: req.userId }, { reportedUserId: req.userId }] });
   await User.updateMany({ maybeLikes: req.userId }, { $pull: { maybeLikes: req.userId } });
@@ -165,7 +212,8 @@ export const deleteProfile = asyncHandler(async (req) => {
  * @swagger
  * /api/users/like:
  *   post:
- *     summary: Like or mark a user profile as maybe
+ *     summary: Like, super like, pass on or mark a user profile as maybe
+ *     description: Likes and super likes count against daily quotas, reported in the X-Quota-* response headers. Super likes notify the recipient right away.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -177,10 +225,16 @@ export const deleteProfile = asyncHandler(async (req) => {
  *             type: object
  *             properties:
  *               targetId: { type: string }
- *               direction: { type: string, enum: [right, up] }
+ *               direction: { type: string, enum: [right, up, left, super] }
  *     responses:
  *       200:
- *         description: Profile liked or marked as maybe, possible match created
+ *         description: Profile liked, passed or marked as maybe, possible match created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       429:
+ *         description: Daily like or super like quota reached
  *         content:
  *           application/json:
  *             schema:
@@ -190,22 +244,36 @@ export const likeProfile = asyncHandler(async (req) => {
   const { targetId, direction } = req.body;
   const likerId = req.userId;
 
-  if (!['right', 'up'].includes(direction)) throw new ApiError(400, 'Invalid direction. Use "right" or "up"');
+  if (!['right', 'up', 'left', 'super'].includes(direction)) throw new ApiError(400, 'Invalid direction. Use "right", "up", "left" or "super"');
   if (likerId === targetId) throw new ApiError(400, 'Cannot like yourself');
   const target = await User.findById(targetId);
   if (!target) throw new ApiError(404, 'Target user not found');
+  await assertNotBlocked(likerId, targetId, 'like');
 
   const user = await User.findById(likerId);
 
-  if (direction === 'right') {
+  if (direction === 'right' || direction === 'super') {
+    const isSuperLike = direction === 'super';
     const existingLike = await Like.findOne({ liker: likerId, likee: targetId });
     if (existingLike) throw new ApiError(400, 'Already liked this profile');
 
-    const like = new Like({ liker: likerId, likee: targetId, isSuperLike: false });
+    await consumeQuota(likerId, isSuperLike ? 'superLikes' : 'likes');
+    await setQuotaHeaders(req);
+
+    const like = new Like({ liker: likerId, likee: targetId, isSuperLike });
     await like.save();
-    user.lastSwipeAction = { direction: 'right', targetId, timestamp: new Date() };
-    await user.save();
-    winston.info(`User ${likerId} liked ${targetId}`);
+    await Pass.deleteOne({ passer: likerId, passee: targetId }); // Liking a recycled profile clears the old pass
+    const swipe = new Swipe({ user: likerId, target: targetId, direction });
+    winston.info(`User ${likerId} ${isSuperLike ? 'super liked' : 'liked'} ${targetId}`);
+
+    if (isSuperLike) {
+      const notification = await notificationController.createNotification({
+        userId: targetId,
+        type: 'superlike',
+        message: `${user.name} super liked you!`,
+      });
+      swipe.notifications.push(notification._id);
+    }
 
     const mutualLike = await Like.findOne({ liker: targetId, likee: likerId });
     if (mutualLike) {
@@ -213,23 +281,109 @@ export const likeProfile = asyncHandler(async (req) => {
       if (!existingMatch) {
         const match = new Match({ users: [likerId, targetId] });
         await match.save();
+        swipe.match = match._id;
+        await swipe.save();
         pubsub.publish('MATCH_CREATED', { matchCreated: match });
         winston.info(`Match created between ${likerId} and ${targetId}`);
         return new ApiResponse(200, { match, isMatch: true }, 'Match created!');
       }
+      await swipe.save();
       return new ApiResponse(200, { match: existingMatch, isMatch: true }, 'Match already exists');
     }
-    return new ApiResponse(200, { like, isMatch: false }, 'Profile liked');
+    await swipe.save();
+    return new ApiResponse(200, { like, isMatch: false }, isSuperLike ? 'Profile super liked' : 'Profile liked');
   } else if (direction === 'up') {
     if (user.maybeLikes.includes(targetId)) throw new ApiError(400, 'Already marked as maybe');
     user.maybeLikes.push(targetId);
-    user.lastSwipeAction = { direction: 'up', targetId, timestamp: new Date() };
     await user.save();
+    await Swipe.create({ user: likerId, target: targetId, direction });
     winston.info(`User ${likerId} marked ${targetId} as maybe`);
     return new ApiResponse(200, { maybe: targetId }, 'Profile marked as maybe');
+  } else if (direction === 'left') {
+    const existingLike = await Like.findOne({ liker: likerId, likee: targetId });
+    if (existingLike) throw new ApiError(400, 'Already liked this profile');
+
+    const pass = await Pass.findOneAndUpdate(
+      { passer: likerId, passee: targetId },
+      { createdAt: new Date() },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    await Swipe.create({ user: likerId, target: targetId, direction });
+    winston.info(`User ${likerId} passed on ${targetId}`);
+    return new ApiResponse(200, { pass }, 'Profile passed');
   }
 });
 
+/**
+ * @swagger
+ * /api/users/passes/recycle:
+ *   post:
+ *     summary: Recycle passed profiles back into the discovery deck
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Passed profiles recycled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const recyclePasses = asyncHandler(async (req) => {
+  const { deletedCount } = await Pass.deleteMany({ passer: req.userId });
+  winston.info(`User ${req.userId} recycled ${deletedCount} passed profiles`);
+  return new ApiResponse(200, { recycled: deletedCount }, 'Passed profiles recycled successfully');
+});
+
+/**
+ * @swagger
+ * /api/users/unmatch:
+ *   post:
+ *     summary: Unmatch a user
+ *     description: Removes the match, both likes and the conversation. The pair can no longer message or call each other.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               targetId: { type: string }
+ *               reason: { type: string, maxLength: 200 }
+ *     responses:
+ *       200:
+ *         description: Unmatched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const unmatch = asyncHandler(async (req) => {
+  const { targetId, reason } = req.body;
+  const userId = req.userId;
+
+  const match = await Match.findOneAndDelete({ users: { $all: [userId, targetId] } });
+  if (!match) throw new ApiError(404, 'Match not found');
+
+  const pair = [userId, targetId];
+  await Like.deleteMany({ liker: { $in: pair }, likee: { $in: pair } });
+  await Swipe.deleteMany({ user: { $in: pair }, target: { $in: pair } });
+  await Message.deleteMany({ sender: { $in: pair }, receiver: { $in: pair } });
+  await Call.updateMany(
+    { caller: { $in: pair }, receiver: { $in: pair }, status: { $in: ['initiated', 'accepted'] } },
+    { status: 'ended', endTime: new Date() }
+  );
+  await Unmatch.create({ users: match.users, initiator: userId, reason });
+
+  pubsub.publish('MATCH_REMOVED', { matchRemoved: { id: match._id, users: match.users, reason: 'unmatch' } });
+  winston.info(`User ${userId} unmatched ${targetId}${reason ? ` (reason: ${reason})` : ''}`);
+  return new ApiResponse(200, null, 'Unmatched successfully');
+});
+
 /**
  * @swagger
  * /api/users/maybe-likes:
@@ -249,47 +403,189 @@ export const likeProfile = asyncHandler(async (req) => {
 export const getMaybeLikes = asyncHandler(async (req) => {
   const user = await User.findById(req.userId).populate('maybeLikes', 'name photoURL bio age gender');
   if (!user) throw new ApiError(404, 'User not found');
-  return new ApiResponse(200, user.maybeLikes, 'Maybe likes retrieved successfully');
+  const blockedIds = (await getBlockedUserIds(req.userId)).map(id => id.toString());
+  const maybeLikes = user.maybeLikes.filter(profile => !blockedIds.includes(profile._id.toString()));
+  return new ApiResponse(200, maybeLikes, 'Maybe likes retrieved successfully');
 });
 
 /**
  * @swagger
- * /api/users/undo:
+ * /api/users/likes-received:
+ *   get:
+ *     summary: Get pending likes received by the user
+ *     description: Lists incoming likes that have not become a match and were not passed on, newest first.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: "Page size (default: 20, max: 50)"
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from the previous page's nextCursor
+ *     responses:
+ *       200:
+ *         description: Likes received retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const getLikesReceived = asyncHandler(async (req) => {
+  const { cursor, limit = 20 } = req.query || {};
+  const after = decodeCursor(cursor);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+
+  const [matches, passes, blockedIds] = await Promise.all([
+    Match.find({ users: req.userId }).select('users'),
+    Pass.find({ passer: req.userId }).select('passee'),
+    getBlockedUserIds(req.userId),
+  ]);
+  const hiddenIds = [
+    ...matches.flatMap(match => match.users.filter(id => id.toString() !== req.userId.toString())),
+    ...passes.map(pass => pass.passee),
+    ...blockedIds,
+  ];
+
+  const query = { likee: req.userId, liker: { $nin: hiddenIds } };
+  if (after) {
+    query.$or = [
+      { createdAt: { $lt: new Date(after.createdAt) } },
+      { createdAt: new Date(after.createdAt), _id: { $lt: after.id } },
+    ];
+  }
+
+  const likes = await Like.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .populate('liker', 'name photoURL bio age gender');
+  const page = likes.slice(0, pageSize);
+
+  const last = page[page.length - 1];
+  const nextCursor = likes.length > pageSize ? encodeCursor({ createdAt: last.createdAt, id: last._id.toString() }) : null;
+  const received = page.map(like => ({
+    likeId: like._id,
+    user: like.liker,
+    isSuperLike: like.isSuperLike,
+    createdAt: like.createdAt,
+  }));
+  return new ApiResponse(200, { likes: received, nextCursor }, 'Likes received retrieved successfully');
+});
+
+/**
+ * @swagger
+ * /api/users/likes-received/{likeId}:
  *   post:
- *     summary: Undo the last swipe action
+ *     summary: Like back or pass on a received like
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: likeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               direction: { type: string, enum: [right, super, left] }
  *     responses:
  *       200:
- *         description: Last swipe undone successfully
+ *         description: Response to the like recorded, possible match created
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
  */
-export const undoLastSwipe = asyncHandler(async (req) => {
-  const user = await User.findById(req.userId);
-  if (!user) throw new ApiError(404, 'User not found');
-  const { direction, targetId, timestamp } = user.lastSwipeAction || {};
+export const respondToLike = asyncHandler(async (req) => {
+  const { likeId } = req.params;
+  const { direction } = req.body;
+  if (!['right', 'super', 'left'].includes(direction)) throw new ApiError(400, 'Invalid direction. Use "right", "super" or "left"');
+
+  const like = await Like.findOne({ _id: likeId, likee: req.userId });
+  if (!like) throw new ApiError(404, 'Like not found');
 
-  if (!direction || !targetId || !timestamp) throw new ApiError(400, 'No recent swipe to undo');
-  if (Date.now() - new Date(timestamp) > 24 * 60 * 60 * 1000) throw new ApiError(400, 'Undo period expired (24 hours)');
+  return likeProfile({ userId: req.userId, body: { targetId: like.liker.toString(), direction }, res: req.res });
+});
 
-  if (direction === 'right') {
-    const like = await Like.findOneAndDelete({ liker: req.userId, likee: targetId });
-    if (!like) throw new ApiError(400, 'Like not found to undo');
-    winston.info(`User ${req.userId} undid like for ${targetId}`);
+// Reverts a single history entry, including any match and notifications it produced.
+// Resolves to whether a match was removed.
+const rollbackSwipe = async (swipe) => {
+  const { user: userId, target: targetId, direction } = swipe;
+  let match = null;
+
+  if (direction === 'right' || direction === 'super') {
+    const like = await Like.findOneAndDelete({ liker: userId, likee: targetId });
+    if (like) await releaseQuota(userId, like.isSuperLike ? 'superLikes' : 'likes', swipe.timestamp);
+    // Without the like the pair is no longer mutual, whichever swipe created the match
+    match = await Match.findOneAndDelete({ users: { $all: [userId, targetId] } });
+    if (match) {
+      pubsub.publish('MATCH_REMOVED', { matchRemoved: { id: match._id, users: match.users, reason: 'undo' } });
+      winston.info(`Match ${match._id} removed by undo`);
+    }
+    if (swipe.notifications.length) await Notification.deleteMany({ _id: { $in: swipe.notifications } });
   } else if (direction === 'up') {
-    user.maybeLikes = user.maybeLikes.filter(id => id.toString() !== targetId.toString());
-    winston.info(`User ${req.userId} undid maybe for ${targetId}`);
+    await User.updateOne({ _id: userId }, { $pull: { maybeLikes: targetId } });
+  } else if (direction === 'left') {
+    await Pass.deleteOne({ passer: userId, passee: targetId });
   }
 
-  user.lastSwipeAction = { direction: null, targetId: null, timestamp: null };
-  await user.save();
+  await Swipe.deleteOne({ _id: swipe._id });
+  winston.info(`User ${userId} undid ${direction} swipe on ${targetId}`);
+  return Boolean(match);
+};
+
+/**
+ * @swagger
+ * /api/users/undo:
+ *   post:
+ *     summary: Undo recent swipe actions
+ *     description: Undoes the most recent swipes made within the last 24 hours, newest first, rolling back any match they created.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               count: { type: integer, minimum: 1, maximum: 10, default: 1 }
+ *     responses:
+ *       200:
+ *         description: Swipes undone successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const undoLastSwipe = asyncHandler(async (req) => {
+  const count = Math.min(Math.max(parseInt(req.body?.count) || 1, 1), 10);
+  const swipes = await Swipe.find({
+    user: req.userId,
+    timestamp: { $gt: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+  }).sort({ timestamp: -1 }).limit(count);
+  if (!swipes.length) throw new ApiError(400, 'No recent swipe to undo');
+
+  const undone = [];
+  for (const swipe of swipes) {
+    const matchRemoved = await rollbackSwipe(swipe);
+    undone.push({ direction: swipe.direction, targetId: swipe.target, matchRemoved });
+  }
 
-  const undoneUser = await User.findById(targetId);
-  return new ApiResponse(200, { undoneUser }, 'Last swipe undone successfully');
+  const undoneUser = await User.findById(swipes[0].target);
+  return new ApiResponse(200, { undoneUser, undone }, `${undone.length} swipe${undone.length > 1 ? 's' : ''} undone successfully`);
 });
 
 /**
@@ -328,10 +624,12 @@ export const getStats = asyncHandler(async (req) => {
     likesGiven,
     likesReceived,
     superLikesGiven,
+    quotas: getQuotaStatus(user),
     matches,
     avgResponseTime: avgResponseTime / (1000 * 60),
     ghostedCount,
   };
+  await setQuotaHeaders(req);
   return new ApiResponse(200, stats, 'Stats retrieved successfully');
 });
 
@@ -381,4 +679,95 @@ export const boostProfile = asyncHandler(async (req) => {
   await user.save();
   winston.info(`User ${req.userId} boosted profile`);
   return new ApiResponse(200, true, 'Profile boosted successfully');
+});
+
+/**
+ * @swagger
+ * /api/users/block/{userId}:
+ *   post:
+ *     summary: Block a user
+ *     description: Blocked users disappear from each other's feed, inbox and like lists and cannot message, call, like or confess to each other.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User blocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const blockUser = asyncHandler(async (req) => {
+  const { userId: blockedId } = req.params;
+  if (blockedId === req.userId.toString()) throw new ApiError(400, 'Cannot block yourself');
+  const target = await User.findById(blockedId);
+  if (!target) throw new ApiError(404, 'User not found');
+
+  const existingBlock = await Block.findOne({ blocker: req.userId, blocked: blockedId });
+  if (existingBlock) throw new ApiError(400, 'User already blocked');
+
+  const block = await Block.create({ blocker: req.userId, blocked: blockedId });
+  winston.info(`User ${req.userId} blocked ${blockedId}`);
+  return new ApiResponse(200, block, 'User blocked successfully');
+});
+
+/**
+ * @swagger
+ * /api/users/block/{userId}:
+ *   delete:
+ *     summary: Unblock a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unblocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const unblockUser = asyncHandler(async (req) => {
+  const { userId: blockedId } = req.params;
+  const block = await Block.findOneAndDelete({ blocker: req.userId, blocked: blockedId });
+  if (!block) throw new ApiError(404, 'Block not found');
+  winston.info(`User ${req.userId} unblocked ${blockedId}`);
+  return new ApiResponse(200, null, 'User unblocked successfully');
+});
+
+/**
+ * @swagger
+ * /api/users/blocks:
+ *   get:
+ *     summary: Get users blocked by the user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Blocked users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+export const getBlockedUsers = asyncHandler(async (req) => {
+  const blocks = await Block.find({ blocker: req.userId })
+    .sort({ createdAt: -1 })
+    .populate('blocked', 'name photoURL');
+  const blockedUsers = blocks.map(block => ({ user: block.blocked, blockedAt: block.createdAt }));
+  return new ApiResponse(200, blockedUsers, 'Blocked users retrieved successfully');
 });
\ No newline at end of file
@@ -1,8 +1,9 @@
-import { authController, userController, messageController, safetyController, notificationController, callController, User, Notification, Call, Like, Match, authMiddleware, validateInput, pubsub, ApiError } from '../lib.js';
+import { authController, userController, messageController, groupController, safetyController, notificationController, callController, User, Notification, Call, Like, Match, authMiddleware, validateInput, pubsub, ApiError } from '../lib.js';
 import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { withFilter } from 'graphql-subscriptions';
+import { isOnline } from '../utils/presence.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -30,18 +31,26 @@ export default {
         return handleError(err);
       }
     },
+    sessions: async (_, __, context) => {
+      try {
+        const { userId, sessionId } = await authMiddleware(context.req);
+        return await authController.getSessions({ userId, sessionId });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
     stats: async (_, __, context) => {
       try {
         const { userId } = await authMiddleware(context.req);
-        return await userController.getStats({ userId });
+        return await userController.getStats({ userId, res: context.req.res });
       } catch (err) {
         return handleError(err);
       }
     },
-    conversation: async (_, { userId }, context) => {
+    conversation: async (_, { userId, before, limit }, context) => {
       try {
         const { userId: currentUserId } = await authMiddleware(context.req);
-        return await messageController.getConversation({ userId: currentUserId, params: { userId } });
+        return await messageController.getConversation({ userId: currentUserId, params: { userId }, query: { before, limit } });
       } catch (err) {
         return handleError(err);
       }
@@ -54,6 +63,38 @@ export default {
         return handleError(err);
       }
     },
+    groups: async (_, __, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await groupController.getGroups({ userId });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    groupMessages: async (_, { groupId, before, limit }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await groupController.getGroupMessages({ userId, params: { groupId }, query: { before, limit } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    scheduledMessages: async (_, __, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await messageController.getScheduledMessages({ userId });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    searchMessages: async (_, args, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await messageController.searchMessages({ userId, query: args });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
     safetyGuidelines: async () => {
       try {
         return await messageController.getSafetyGuidelines();
@@ -87,6 +128,22 @@ export default {
         return handleError(err);
       }
     },
+    blockedUsers: async (_, __, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await userController.getBlockedUsers({ userId });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    likesReceived: async (_, args, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await userController.getLikesReceived({ userId, query: args });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
   },
   Mutation: {
     register: async (_, args, context) => {
@@ -108,6 +165,127 @@ export default {
         return handleError(err);
       }
     },
+    loginTwoFactor: async (_, args, context) => {
+      try {
+        context.req.body = args;
+        return await authController.loginTwoFactor(context.req);
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    setupTwoFactor: async (_, __, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await authController.setupTwoFactor({ userId });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    verifyTwoFactor: async (_, { code }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await authController.verifyTwoFactor({ userId, body: { code } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    regenerateBackupCodes: async (_, { code }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await authController.regenerateBackupCodes({ userId, body: { code }, ip: context.req.ip });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    disableTwoFactor: async (_, { password, code }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await authController.disableTwoFactor({ userId, body: { password, code }, ip: context.req.ip });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    sendPhoneOtp: async (_, { phone }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await authController.sendPhoneOtp({ userId, body: { phone } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    verifyPhone: async (_, { code, phone }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await authController.verifyPhone({ userId, body: { code, phone }, ip: context.req.ip });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    sendPhoneLoginOtp: async (_, args, context) => {
+      try {
+        context.req.body = args;
+        return await authController.sendPhoneLoginOtp(context.req);
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    loginWithPhone: async (_, args, context) => {
+      try {
+        context.req.body = args;
+        return await authController.loginWithPhone(context.req);
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    resendVerificationEmail: async (_, { email }, context) => {
+      try {
+        context.req.body = { email };
+        return await authController.resendVerificationEmail(context.req);
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    requestEmailChange: async (_, { newEmail, password }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        context.req.body = { newEmail, password };
+        context.req.userId = userId; // Passed as-is so the confirmation link can use req.protocol and req.get('host')
+        return await authController.requestEmailChange(context.req);
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    confirmEmailChange: async (_, { token }, context) => {
+      try {
+        context.req.query = { token };
+        return await authController.confirmEmailChange(context.req);
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    refreshToken: async (_, { refreshToken }) => {
+      try {
+        return await authController.refreshToken({ body: { refreshToken } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    revokeSession: async (_, { sessionId }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await authController.revokeSession({ userId, params: { sessionId } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    revokeAllSessions: async (_, { exceptCurrent }, context) => {
+      try {
+        const { userId, sessionId } = await authMiddleware(context.req);
+        return await authController.revokeAllSessions({ userId, sessionId, query: { exceptCurrent } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
     verifyEmail: async (_, { token }, context) => {
       try {
         context.req.query = { token };
@@ -154,15 +332,55 @@ export default {
     likeProfile: async (_, { targetId, direction }, context) => {
       try {
         const { userId } = await authMiddleware(context.req);
-        return await userController.likeProfile({ userId, body: { targetId, direction } });
+        return await userController.likeProfile({ userId, body: { targetId, direction }, res: context.req.res });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    undoLastSwipe: async (_, { count }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await userController.undoLastSwipe({ userId, body: { count } });
       } catch (err) {
         return handleError(err);
       }
     },
-    undoLastSwipe: async (_, __, context) => {
+    unmatch: async (_, { targetId, reason }, context) => {
       try {
         const { userId } = await authMiddleware(context.req);
-        return await userController.undoLastSwipe({ userId });
+        return await userController.unmatch({ userId, body: { targetId, reason } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    blockUser: async (_, { userId: blockedId }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await userController.blockUser({ userId, params: { userId: blockedId } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    unblockUser: async (_, { userId: blockedId }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await userController.unblockUser({ userId, params: { userId: blockedId } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    recyclePasses: async (_, __, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await userController.recyclePasses({ userId });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    respondToLike: async (_, { likeId, direction }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await userController.respondToLike({ userId, params: { likeId }, body: { direction }, res: context.req.res });
       } catch (err) {
         return handleError(err);
       }
@@ -183,28 +401,86 @@ export default {
         return handleError(err);
       }
     },
-    sendMessage: async (_, { receiverId, text }, context) => {
+    sendMessage: async (_, { receiverId, text, sendAt }, context) => {
       try {
-        await new Promise((resolve) => upload.single('image')(context.req, {}, resolve));
+        await new Promise((resolve) => upload.fields([{ name: 'image', maxCount: 1 }, { name: 'attachments', maxCount: 10 }])(context.req, {}, resolve));
         const { userId } = await authMiddleware(context.req);
-        context.req.body = { receiverId, text };
+        context.req.body = { receiverId, text, sendAt };
         return await messageController.sendMessage({ userId, ...context.req });
       } catch (err) {
         return handleError(err);
       }
     },
+    createGroup: async (_, { name, participantIds }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await groupController.createGroup({ userId, body: { name, participantIds } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    inviteToGroup: async (_, { groupId, userIds }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await groupController.inviteToGroup({ userId, params: { groupId }, body: { userIds } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    leaveGroup: async (_, { groupId }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await groupController.leaveGroup({ userId, params: { groupId } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    sendGroupMessage: async (_, { groupId, text }, context) => {
+      try {
+        await new Promise((resolve) => upload.fields([{ name: 'attachments', maxCount: 10 }])(context.req, {}, resolve));
+        const { userId } = await authMiddleware(context.req);
+        context.req.body = { text };
+        return await groupController.sendGroupMessage({ userId, ...context.req, params: { groupId } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    markGroupRead: async (_, { groupId }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await groupController.markGroupRead({ userId, params: { groupId } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    updateScheduledMessage: async (_, { scheduledId, text, sendAt }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await messageController.updateScheduledMessage({ userId, params: { scheduledId }, body: { text, sendAt } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    cancelScheduledMessage: async (_, { scheduledId }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await messageController.cancelScheduledMessage({ userId, params: { scheduledId } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
     sendConfession: async (_, { text }, context) => {
       try {
         const { userId } = await authMiddleware(context.req);
-        return await messageController.sendConfession({ userId, body: { text } });
+        return await messageController.sendConfession({ userId, body: { text }, res: context.req.res });
       } catch (err) {
         return handleError(err);
       }
     },
-    deleteConversation: async (_, { userId }, context) => {
+    deleteConversation: async (_, { userId, forEveryone }, context) => {
       try {
         const { userId: currentUserId } = await authMiddleware(context.req);
-        return await messageController.deleteConversation({ userId: currentUserId, params: { userId } });
+        return await messageController.deleteConversation({ userId: currentUserId, params: { userId }, query: { forEveryone } });
       } catch (err) {
         return handleError(err);
       }
@@ -217,6 +493,46 @@ export default {
         return handleError(err);
       }
     },
+    markMessagesDelivered: async (_, { messageIds }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await messageController.markMessagesDelivered({ userId, body: { messageIds } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    editMessage: async (_, { messageId, text }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await messageController.editMessage({ userId, params: { messageId }, body: { text } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    unsendMessage: async (_, { messageId }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await messageController.unsendMessage({ userId, params: { messageId } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    addReaction: async (_, { messageId, emoji }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await messageController.addReaction({ userId, params: { messageId }, body: { emoji } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
+    removeReaction: async (_, { messageId, emoji }, context) => {
+      try {
+        const { userId } = await authMiddleware(context.req);
+        return await messageController.removeReaction({ userId, params: { messageId, emoji } });
+      } catch (err) {
+        return handleError(err);
+      }
+    },
     reportSuspiciousActivity: async (_, { reportedUserId, location, reason }, context) => {
       try {
         const { userId } = await authMiddleware(context.req);
@@ -290,10 +606,25 @@ export default {
     messageReceived: {
       subscribe: withFilter(
         () => pubsub.asyncIterator(['MESSAGE_RECEIVED']),
-        (payload, variables) => payload.messageReceived.receiver.toString() === variables.receiverId
+        // Group messages carry the recipient they were fanned out to
+        (payload, variables) => (payload.recipientId || payload.messageReceived.receiver).toString() === variables.receiverId
       ),
       resolve: (payload) => payload.messageReceived,
     },
+    messageUpdated: {
+      subscribe: withFilter(
+        () => pubsub.asyncIterator(['MESSAGE_UPDATED']),
+        (payload, variables) => payload.userIds.includes(variables.userId)
+      ),
+      resolve: (payload) => payload.messageUpdated,
+    },
+    messageStatusChanged: {
+      subscribe: withFilter(
+        () => pubsub.asyncIterator(['MESSAGE_STATUS']),
+        (payload, variables) => payload.messageStatusChanged.senderId.toString() === variables.userId
+      ),
+      resolve: (payload) => payload.messageStatusChanged,
+    },
     notificationReceived: {
       subscribe: withFilter(
         () => pubsub.asyncIterator(['NOTIFICATION_RECEIVED']),
@@ -318,11 +649,23 @@ export default {
       ),
       resolve: (payload) => payload.matchCreated,
     },
+    matchRemoved: {
+      subscribe: withFilter(
+        () => pubsub.asyncIterator(['MATCH_REMOVED']),
+        (payload, _, context) => {
+          const userId = context.req.userId;
+          return payload.matchRemoved.users.some(u => u.toString() === userId);
+        }
+      ),
+      resolve: (payload) => payload.matchRemoved,
+    },
   },
   User: {
     maybeLikes: async (parent) => User.find({ _id: { $in: parent.maybeLikes } }),
     location: (parent) => parent.location,
     interests: (parent) => parent.interests || [],
+    online: (parent) => isOnline(parent._id || parent.id),
+    twoFactorEnabled: (parent) => Boolean(parent.twoFactor?.enabled),
   },
   Like: {
     liker: async (parent) => User.findById(parent.liker),
@@ -335,6 +678,9 @@ export default {
   Match: {
     users: async (parent) => User.find({ _id: { $in: parent.users } }),
   },
+  MatchRemoved: {
+    users: async (parent) => User.find({ _id: { $in: parent.users } }),
+  },
   Confession: {
     sender: async (parent) => User.findById(parent.sender),
   },
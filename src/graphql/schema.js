@@ -19,8 +19,11 @@ const typeDefs = gql`
     views: Int
     hiatus: Boolean
     verified: Boolean
+    twoFactorEnabled: Boolean
+    phoneVerified: Boolean
     maybeLikes: [User]
     lastActive: String
+    online: Boolean
     boostedUntil: String
   }
 
@@ -40,31 +43,94 @@ const typeDefs = gql`
   type Message {
     id: ID!
     sender: User!
-    receiver: User!
+    receiver: User
+    group: ID
     text: String!
     mediaURL: String
+    attachments: [Attachment!]
     timestamp: String!
+    delivered: Boolean
+    deliveredAt: String
     read: Boolean!
     readAt: String
     isConfession: Boolean!
+    editedAt: String
+    editHistory: [MessageEdit!]
+    unsent: Boolean
+    unsentAt: String
+    reactions: [Reaction!]
+  }
+
+  type Attachment {
+    type: String!
+    url: String!
+    mimeType: String
+    size: Int
+    duration: Float
+    width: Int
+    height: Int
+  }
+
+  type MessageEdit {
+    text: String!
+    editedAt: String!
+  }
+
+  type Reaction {
+    user: ID!
+    emoji: String!
+    createdAt: String!
+  }
+
+  type MessageStatus {
+    senderId: ID!
+    receiverId: ID!
+    messageIds: [ID!]!
+    status: String!
+    at: String!
+  }
+
+  type MessageUpdate {
+    type: String!
+    message: Message!
   }
 
   type Conversation {
-    userId: ID!
+    userId: ID
+    groupId: ID
+    isGroup: Boolean
+    participants: [GroupParticipant!]
     name: String!
     photoURL: String
+    online: Boolean
+    lastActive: String
     lastMessage: String!
     lastMediaURL: String
+    lastMessagePreview: String
+    lastMessageStatus: String
     timestamp: String!
     unreadCount: Int!
   }
 
+  type GroupParticipant {
+    userId: ID!
+    name: String!
+    photoURL: String
+    online: Boolean
+  }
+
   type Match {
     id: ID!
     users: [User!]!
     createdAt: String!
   }
 
+  type MatchRemoved {
+    id: ID!
+    users: [User!]!
+    reason: String
+  }
+
   type Confession {
     id: ID!
     text: String!
@@ -105,13 +171,21 @@ const typeDefs = gql`
     likesGiven: Int
     likesReceived: Int
     superLikesGiven: Int
+    quotas: JSON
     matches: Int
     avgResponseTime: Float
     ghostedCount: Int
   }
 
+  type UndoneSwipe {
+    direction: String!
+    targetId: ID!
+    matchRemoved: Boolean!
+  }
+
   type UndoResponse {
     undoneUser: User
+    undone: [UndoneSwipe!]
   }
 
   type ApiResponse {
@@ -122,32 +196,71 @@ const typeDefs = gql`
   }
 
   type Query {
-    profiles(lat: Float!, lng: Float!, maxDistance: Float, minAge: Int, maxAge: Int, gender: String, interests: String, preferences: String, ethnicity: String, education: String, smoking: Boolean): ApiResponse!
+    profiles(lat: Float!, lng: Float!, maxDistance: Float, minAge: Int, maxAge: Int, gender: String, interests: String, preferences: String, ethnicity: String, education: String, smoking: Boolean, explain: Boolean, cursor: String, limit: Int): ApiResponse!
     stats: ApiResponse!
-    conversation(userId: ID!): ApiResponse!
+    sessions: ApiResponse!
+    conversation(userId: ID!, before: ID, limit: Int): ApiResponse!
     inbox: ApiResponse!
+    scheduledMessages: ApiResponse!
+    groups: ApiResponse!
+    groupMessages(groupId: ID!, before: ID, limit: Int): ApiResponse!
+    searchMessages(q: String!, userId: ID, from: String, to: String, cursor: String, limit: Int): ApiResponse!
     safetyGuidelines: ApiResponse!
     notifications(userId: ID!): ApiResponse!
     callHistory(userId: ID!): ApiResponse!
     maybeLikes: ApiResponse!
+    likesReceived(cursor: String, limit: Int): ApiResponse!
+    blockedUsers: ApiResponse!
   }
 
   type Mutation {
-    register(email: String!, password: String!, name: String!, phone: String!, prompt: String!, lat: Float!, lng: Float!, age: Int!, gender: String!, interests: String): ApiResponse!
-    login(email: String!, password: String!): ApiResponse!
+    register(email: String!, password: String!, name: String!, phone: String!, prompt: String!, lat: Float!, lng: Float!, age: Int!, gender: String!, interests: String, deviceName: String): ApiResponse!
+    login(email: String!, password: String!, deviceName: String): ApiResponse!
+    loginTwoFactor(challengeToken: String!, code: String!, deviceName: String): ApiResponse!
+    refreshToken(refreshToken: String!): ApiResponse!
+    resendVerificationEmail(email: String!): ApiResponse!
+    requestEmailChange(newEmail: String!, password: String!): ApiResponse!
+    confirmEmailChange(token: String!): ApiResponse!
+    sendPhoneOtp(phone: String): ApiResponse!
+    verifyPhone(code: String!, phone: String): ApiResponse!
+    sendPhoneLoginOtp(phone: String!): ApiResponse!
+    loginWithPhone(phone: String!, code: String!, deviceName: String): ApiResponse!
+    setupTwoFactor: ApiResponse!
+    verifyTwoFactor(code: String!): ApiResponse!
+    regenerateBackupCodes(code: String!): ApiResponse!
+    disableTwoFactor(password: String!, code: String!): ApiResponse!
+    revokeSession(sessionId: ID!): ApiResponse!
+    revokeAllSessions(exceptCurrent: Boolean): ApiResponse!
     verifyEmail(token: String!): ApiResponse!
     forgotPassword(email: String!): ApiResponse!
     resetPassword(token: String!, password: String!): ApiResponse!
     updateProfile(name: String, bio: String, prompt: String, lat: Float, lng: Float, age: Int, gender: String, interests: String, preferences: String, ethnicity: String, education: String, smoking: Boolean): ApiResponse!
     deleteProfile: ApiResponse!
     likeProfile(targetId: ID!, direction: String!): ApiResponse!
-    undoLastSwipe: ApiResponse!
+    undoLastSwipe(count: Int): ApiResponse!
+    recyclePasses: ApiResponse!
+    respondToLike(likeId: ID!, direction: String!): ApiResponse!
+    unmatch(targetId: ID!, reason: String): ApiResponse!
+    blockUser(userId: ID!): ApiResponse!
+    unblockUser(userId: ID!): ApiResponse!
     toggleHiatus: ApiResponse!
     boostProfile: ApiResponse!
-    sendMessage(receiverId: ID!, text: String, image: Upload): ApiResponse!
+    sendMessage(receiverId: ID!, text: String, image: Upload, attachments: [Upload], sendAt: String): ApiResponse!
+    createGroup(name: String, participantIds: [ID!]!): ApiResponse!
+    inviteToGroup(groupId: ID!, userIds: [ID!]!): ApiResponse!
+    leaveGroup(groupId: ID!): ApiResponse!
+    sendGroupMessage(groupId: ID!, text: String, attachments: [Upload]): ApiResponse!
+    markGroupRead(groupId: ID!): ApiResponse!
+    updateScheduledMessage(scheduledId: ID!, text: String, sendAt: String): ApiResponse!
+    cancelScheduledMessage(scheduledId: ID!): ApiResponse!
     sendConfession(text: String!): ApiResponse!
-    deleteConversation(userId: ID!): ApiResponse!
+    deleteConversation(userId: ID!, forEveryone: Boolean): ApiResponse!
     markMessagesRead(senderId: ID!): ApiResponse!
+    markMessagesDelivered(messageIds: [ID!]!): ApiResponse!
+    editMessage(messageId: ID!, text: String!): ApiResponse!
+    unsendMessage(messageId: ID!): ApiResponse!
+    addReaction(messageId: ID!, emoji: String!): ApiResponse!
+    removeReaction(messageId: ID!, emoji: String!): ApiResponse!
     reportSuspiciousActivity(reportedUserId: ID!, location: String, reason: String!): ApiResponse!
     verifyLocation(location: String!): ApiResponse!
     confirmIdentity: ApiResponse!
@@ -160,9 +273,12 @@ const typeDefs = gql`
 
   type Subscription {
     messageReceived(receiverId: ID!): Message!
+    messageUpdated(userId: ID!): MessageUpdate!
+    messageStatusChanged(userId: ID!): MessageStatus!
     notificationReceived(userId: ID!): Notification!
     callInitiated(receiverId: ID!): Call!
     matchCreated: Match!
+    matchRemoved: MatchRemoved!
   }
 
   scalar JSON
@@ -18,6 +18,15 @@ import SafetyReport from './models/SafetyReport.js';
 import Notification from './models/Notification.js';
 import Call from './models/Call.js';
 import Like from './models/Like.js';
+import Pass from './models/Pass.js';
+import Swipe from './models/Swipe.js';
+import Unmatch from './models/Unmatch.js';
+import Block from './models/Block.js';
+import ScheduledMessage from './models/ScheduledMessage.js';
+import GroupChat from './models/GroupChat.js';
+import Session from './models/Session.js';
+import LoginAttempt from './models/LoginAttempt.js';
+import PhoneOtp from './models/PhoneOtp.js';
 
 import * as authController from './controllers/authController.js';
 import * as userController from './controllers/userController.js';
@@ -25,14 +34,24 @@ import * as messageController from './controllers/messageController.js';
 import * as safetyController from './controllers/safetyController.js';
 import * as notificationController from './controllers/notificationController.js';
 import * as callController from './controllers/callController.js';
+import * as groupController from './controllers/groupController.js';
 
 import authMiddleware from './middlewares/authMiddleware.js';
 import validateInput from './middlewares/validateInput.js';
 import rateLimitPerUser from './middlewares/rateLimitPerUser.js';
+import swipeRateLimit from './middlewares/swipeRateLimit.js';
 
 import { uploadToCloudinary } from './utils/cloudinary.js';
 import { startAutoDelete } from './utils/autoDelete.js';
+import { startScheduledMessages } from './utils/scheduledMessages.js';
+import { startQuotaReset, consumeQuota, releaseQuota, getQuotaStatus, setQuotaHeaders } from './utils/quotas.js';
 import { sendEmail } from './utils/email.js';
+import { createSession, rotateSession, revokeSessions } from './utils/sessions.js';
+import { lockoutKeys, assertNotLocked, recordFailure, clearFailures } from './utils/lockout.js';
+import { normalizePhone, issueOtp, consumeOtp } from './utils/otp.js';
+import { generateTotpSecret, provisioningUri, verifyTotp, generateBackupCodes, hashBackupCode } from './utils/totp.js';
+import { assertCanInteract, assertNotBlocked, assertNoBlocksAmong, getBlockedUserIds } from './utils/interactionPolicy.js';
+import { isOnline } from './utils/presence.js';
 
 const pubsub = new PubSub();
 
@@ -56,16 +75,53 @@ export {
   Notification,
   Call,
   Like,
+  Pass,
+  Swipe,
+  Unmatch,
+  Block,
+  ScheduledMessage,
+  GroupChat,
+  Session,
+  LoginAttempt,
+  PhoneOtp,
   authController,
   userController,
   messageController,
   safetyController,
   notificationController,
   callController,
+  groupController,
   authMiddleware,
   validateInput,
   rateLimitPerUser,
+  swipeRateLimit,
   uploadToCloudinary,
   startAutoDelete,
+  startScheduledMessages,
+  startQuotaReset,
+  consumeQuota,
+  releaseQuota,
+  getQuotaStatus,
+  setQuotaHeaders,
   sendEmail,
+  createSession,
+  rotateSession,
+  revokeSessions,
+  lockoutKeys,
+  assertNotLocked,
+  recordFailure,
+  clearFailures,
+  generateTotpSecret,
+  provisioningUri,
+  verifyTotp,
+  generateBackupCodes,
+  hashBackupCode,
+  normalizePhone,
+  issueOtp,
+  consumeOtp,
+  assertCanInteract,
+  assertNotBlocked,
+  assertNoBlocksAmong,
+  getBlockedUserIds,
+  isOnline,
 };
\ No newline at end of file
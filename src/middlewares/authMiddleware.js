@@ -1,14 +1,23 @@
-import { jwt, User, winston, ApiError, asyncHandler } from '../lib.js';
+import { jwt, User, Session, winston, ApiError, asyncHandler } from '../lib.js';
 
 export default asyncHandler(async (req) => {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) throw new ApiError(401, 'No token provided');
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
-    if (!user || user.tokenVersion !== decoded.tokenVersion) {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        throw new ApiError(401, 'Invalid or expired token');
+    }
+    // Revoking a session cuts off its access tokens immediately, not only at their expiry
+    const [user, session] = await Promise.all([
+        User.findById(decoded.id),
+        decoded.sid ? Session.exists({ _id: decoded.sid, user: decoded.id, revokedAt: null }) : null,
+    ]);
+    if (!user || user.tokenVersion !== decoded.tokenVersion || !session) {
         throw new ApiError(401, 'Invalid or expired token');
     }
     winston.info(`User ${user.email} authenticated`);
-    return { userId: decoded.id };
+    return { userId: decoded.id, sessionId: decoded.sid };
 });
\ No newline at end of file
@@ -0,0 +1,17 @@
+import rateLimit from 'express-rate-limit';
+import { authMiddleware } from '../lib.js';
+
+// Short-window throttle on swipes, on top of the daily quotas
+export default rateLimit({
+    windowMs: 60 * 1000,
+    max: (req) => parseInt(process.env.SWIPE_RATE_LIMIT_PER_MINUTE) || 30,
+    keyGenerator: async (req) => {
+        try {
+            const { userId } = await authMiddleware(req);
+            return userId;
+        } catch (err) {
+            return req.ip;
+        }
+    },
+    message: 'Too many swipes, please slow down.',
+});
@@ -0,0 +1,12 @@
+import { mongoose } from '../lib.js';
+
+const blockSchema = new mongoose.Schema({
+  blocker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  blocked: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+export default mongoose.model('Block', blockSchema);
@@ -0,0 +1,20 @@
+import { mongoose } from '../lib.js';
+
+// A conversation with more than two people, e.g. a double date or an introduction between matches.
+// Group messages reference the group instead of a receiver; read state is tracked per participant.
+const groupChatSchema = new mongoose.Schema({
+  name: { type: String, trim: true, maxlength: 50, default: '' },
+  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  participants: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    joinedAt: { type: Date, default: Date.now },
+    lastReadAt: { type: Date, default: Date.now }, // Messages after this are unread for the participant
+  }],
+  lastMessageAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+groupChatSchema.index({ 'participants.user': 1 });
+
+export default mongoose.model('GroupChat', groupChatSchema);
@@ -0,0 +1,15 @@
+import { mongoose } from '../lib.js';
+
+// Failed attempt counter and lockout state for one account or IP address in one flow (login or password reset)
+const loginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // e.g. "login:account:jane@example.com" or "login:ip:203.0.113.7"
+  failures: { type: Number, default: 0 }, // Failures in the current window
+  lastFailureAt: { type: Date },
+  lockouts: { type: Number, default: 0 }, // Lockouts so far; each one doubles the next lockout's length
+  lockedUntil: { type: Date },
+  expiresAt: { type: Date, required: true }, // Forget the history after a quiet day
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -3,12 +3,37 @@ import { mongoose } from '../lib.js';
 const messageSchema = new mongoose.Schema({
   sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   receiver: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'GroupChat' }, // Set instead of receiver for group messages
   text: { type: String, default: '' }, // Allow empty text if image is present
-  mediaURL: { type: String }, // New field for image URL
+  mediaURL: { type: String }, // Legacy single image, mirrors the first image attachment
+  attachments: [{
+    type: { type: String, enum: ['image', 'video', 'audio'], required: true }, // audio is a voice note
+    url: { type: String, required: true },
+    mimeType: String,
+    size: Number, // Bytes
+    duration: Number, // Seconds, for video and audio
+    width: Number,
+    height: Number,
+  }],
   timestamp: { type: Date, default: Date.now },
+  delivered: { type: Boolean, default: false },
+  deliveredAt: { type: Date }, // Set when the receiver's client acknowledges the message
   read: { type: Boolean, default: false },
   readAt: { type: Date }, // Explicitly include for status tracking
   isConfession: { type: Boolean, default: false },
+  deletedFor: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // Participants who deleted the message for themselves
+  editedAt: { type: Date },
+  editHistory: [{ text: String, editedAt: { type: Date, default: Date.now } }], // Previous versions, oldest first
+  unsent: { type: Boolean, default: false },
+  unsentAt: { type: Date },
+  reactions: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    emoji: { type: String, required: true, maxlength: 16 },
+    createdAt: { type: Date, default: Date.now },
+  }],
 });
 
+messageSchema.index({ text: 'text' });
+messageSchema.index({ group: 1, timestamp: -1 });
+
 export default mongoose.model('Message', messageSchema);
\ No newline at end of file
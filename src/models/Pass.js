@@ -0,0 +1,11 @@
+import { mongoose } from '../lib.js';
+
+const passSchema = new mongoose.Schema({
+  passer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  passee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+passSchema.index({ passer: 1, passee: 1 }, { unique: true });
+
+export default mongoose.model('Pass', passSchema);
@@ -0,0 +1,17 @@
+import { mongoose } from '../lib.js';
+
+// A one-time code texted to a phone number, either to verify it or to log in with it
+const phoneOtpSchema = new mongoose.Schema({
+  phone: { type: String, required: true },
+  purpose: { type: String, enum: ['verify', 'login'], required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  codeHash: { type: String, required: true }, // SHA-256 of the code
+  attempts: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+});
+
+phoneOtpSchema.index({ phone: 1, purpose: 1 }, { unique: true });
+phoneOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('PhoneOtp', phoneOtpSchema);
@@ -0,0 +1,28 @@
+import { mongoose } from '../lib.js';
+
+// A message composed now and delivered by the scheduler at sendAt.
+// Attachments are uploaded when the message is scheduled, so delivery only copies them over.
+const scheduledMessageSchema = new mongoose.Schema({
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  receiver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  text: { type: String, default: '' },
+  attachments: [{
+    type: { type: String, enum: ['image', 'video', 'audio'], required: true },
+    url: { type: String, required: true },
+    mimeType: String,
+    size: Number,
+    duration: Number,
+    width: Number,
+    height: Number,
+  }],
+  sendAt: { type: Date, required: true },
+  status: { type: String, enum: ['pending', 'sending', 'sent', 'cancelled', 'failed'], default: 'pending' },
+  message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' }, // The delivered message
+  failureReason: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+scheduledMessageSchema.index({ sender: 1, status: 1 });
+
+export default mongoose.model('ScheduledMessage', scheduledMessageSchema);
@@ -0,0 +1,24 @@
+import { mongoose } from '../lib.js';
+
+// A signed-in device. Its refresh token rotates on every use, so the session is one token family:
+// presenting a rotated-out token means it leaked, and the whole session is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true }, // SHA-256 of the current refresh token
+  tokenVersion: { type: Number, default: 0 }, // The user's tokenVersion at sign-in; bumping it ends the session
+  device: {
+    name: { type: String, trim: true, maxlength: 100 },
+    userAgent: String,
+    ip: String,
+  },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String, enum: ['revoked', 'reuse', 'password-reset', 'email-change'] },
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
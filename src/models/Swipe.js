@@ -0,0 +1,15 @@
+import { mongoose } from '../lib.js';
+
+// Swipe history used for multi-level undo; entries expire once the undo window has passed
+const swipeSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  target: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  direction: { type: String, enum: ['right', 'up', 'left', 'super'], required: true },
+  match: { type: mongoose.Schema.Types.ObjectId, ref: 'Match' }, // Match created by this swipe, if any
+  notifications: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Notification' }],
+  timestamp: { type: Date, default: Date.now, expires: 24 * 60 * 60 },
+});
+
+swipeSchema.index({ user: 1, timestamp: -1 });
+
+export default mongoose.model('Swipe', swipeSchema);
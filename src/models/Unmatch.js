@@ -0,0 +1,10 @@
+import { mongoose } from '../lib.js';
+
+const unmatchSchema = new mongoose.Schema({
+  users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  initiator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: { type: String, trim: true, maxlength: 200 }, // Optional, kept for analytics only
+  createdAt: { type: Date, default: Date.now },
+});
+
+export default mongoose.model('Unmatch', unmatchSchema);
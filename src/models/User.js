@@ -1,7 +1,10 @@
 import { mongoose } from '../lib.js';
+import { nextQuotaReset } from '../utils/quotas.js';
 
 const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  phone: { type: String, trim: true }, // Stored without spaces, dashes or brackets
+  phoneVerified: { type: Boolean, default: false },
   password: { type: String, required: true, minlength: 8 },
   name: { type: String, required: true, trim: true },
   photoURL: String,
@@ -23,19 +26,33 @@ const userSchema = new mongoose.Schema({
   verified: { type: Boolean, default: false },
   emailVerificationToken: { type: String },
   emailVerificationExpires: { type: Date },
+  pendingEmail: { type: String, lowercase: true, trim: true }, // New address waiting for confirmation
+  emailChangeToken: { type: String },
+  emailChangeExpires: { type: Date },
   passwordResetToken: { type: String },
   passwordResetExpires: { type: Date },
   maybeLikes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  lastSwipeAction: {
-    direction: { type: String, enum: ['right', 'up'], default: null },
-    targetId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
-    timestamp: { type: Date, default: null },
-  },
   lastActive: { type: Date, default: Date.now },
   tokenVersion: { type: Number, default: 0 },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false }, // Base32 TOTP secret
+    pendingSecret: { type: String, select: false }, // Set during enrollment until the first code is verified
+    backupCodes: { type: [String], select: false }, // SHA-256 hashes of the unused backup codes
+    lastUsedStep: { type: Number }, // Last accepted TOTP time step, so a code cannot be used twice
+  },
   boostedUntil: { type: Date },
+  dailyUsage: {
+    likes: { type: Number, default: 0 },
+    superLikes: { type: Number, default: 0 },
+    confessions: { type: Number, default: 0 },
+  },
+  dailyUsageResetAt: { type: Date, default: () => nextQuotaReset() },
 });
 
 userSchema.index({ location: '2dsphere' });
+// A number only belongs to someone once verified, so an unverified claim can't lock the real owner out
+userSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { phoneVerified: true } });
 
 export default mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,146 @@
+import { Server } from 'socket.io';
+import { winston, authMiddleware, assertCanInteract, ApiError, Match, Call, mongoose, pubsub, messageController } from './lib.js';
+import { markOnline, markOffline, touchLastActive, startPresenceHeartbeat } from './utils/presence.js';
+
+const emitError = (socket, errorEvent, event, err) => {
+  const statusCode = err instanceof ApiError ? err.statusCode : 500;
+  const message = err instanceof ApiError ? err.message : 'Internal server error';
+  socket.emit(errorEvent, { event, statusCode, success: false, message });
+};
+
+// Presence changes are only shared with the user's matches
+const broadcastPresence = async (io, userId, online) => {
+  const matches = await Match.find({ users: userId }).select('users');
+  const payload = { userId, online, lastActive: new Date() };
+  matches
+    .flatMap(match => match.users.map(id => id.toString()))
+    .filter(id => id !== userId)
+    .forEach(id => io.to(id).emit('presence', payload));
+};
+
+// Runs after the listeners are registered so a slow or failing write can't drop early events
+const updatePresence = async (io, userId, online) => {
+  try {
+    await touchLastActive([userId]);
+    await broadcastPresence(io, userId, online);
+  } catch (err) {
+    winston.error(`Failed to update presence for user ${userId}: ${err.message}`);
+  }
+};
+
+// WebRTC signaling is only relayed between the two participants of an initiated or accepted call.
+// The target is derived from the call, never from client-supplied ids.
+const findCallPeer = async (callId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(callId)) throw new ApiError(400, 'Invalid call id');
+  const call = await Call.findOne({
+    _id: callId,
+    status: { $in: ['initiated', 'accepted'] },
+    $or: [{ caller: userId }, { receiver: userId }],
+  });
+  if (!call) throw new ApiError(403, 'Not a participant of an active call');
+  const isCaller = call.caller.toString() === userId;
+  return { call, isCaller, peerId: (isCaller ? call.receiver : call.caller).toString() };
+};
+
+export const initSocket = (httpServer) => {
+  const io = new Server(httpServer, {
+    cors: {
+      origin: '*',
+      methods: ['GET', 'POST'],
+    },
+  });
+
+  // Same JWT and tokenVersion check as the REST and GraphQL layers; token comes from the handshake auth or headers
+  io.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
+      const { userId } = await authMiddleware({ headers: { authorization: `Bearer ${token}` } });
+      socket.userId = userId.toString();
+      next();
+    } catch (err) {
+      const error = new Error(err instanceof ApiError ? err.message : 'Authentication failed');
+      error.data = { statusCode: 401 };
+      next(error);
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const { userId } = socket;
+    socket.join(userId);
+    winston.info(`WebSocket client connected for user ${userId}`);
+
+    // Typing indicators are scoped to the 1:1 conversation with receiverId
+    const typingTo = new Set();
+    const relayTyping = (event) => async (data = {}) => {
+      try {
+        await assertCanInteract(userId, data.receiverId, 'message');
+        if (event === 'typing') typingTo.add(data.receiverId);
+        else typingTo.delete(data.receiverId);
+        socket.to(data.receiverId).emit(event, { userId });
+      } catch (err) {
+        emitError(socket, 'typing-error', event, err);
+      }
+    };
+    // Explicit delivery acknowledgement, e.g. for messages fetched while the socket was offline
+    socket.on('message-delivered', async (data = {}) => {
+      try {
+        await messageController.markMessagesDelivered({ userId, body: { messageIds: data.messageIds } });
+      } catch (err) {
+        emitError(socket, 'message-error', 'message-delivered', err);
+      }
+    });
+
+    socket.on('typing', relayTyping('typing'));
+    socket.on('stop-typing', relayTyping('stop-typing'));
+
+    // Offers come from the caller, answers from the receiver, ICE candidates from either side
+    const relayWebRTC = (event, role) => async (data = {}) => {
+      try {
+        const { isCaller, peerId } = await findCallPeer(data.callId, userId);
+        if ((role === 'caller' && !isCaller) || (role === 'receiver' && isCaller)) {
+          throw new ApiError(403, `Only the ${role} can send ${event}`);
+        }
+        if (event === 'webrtc-offer') await assertCanInteract(userId, peerId, 'call');
+        socket.to(peerId).emit(event, { ...data, from: userId });
+      } catch (err) {
+        emitError(socket, 'webrtc-error', event, err);
+      }
+    };
+    socket.on('webrtc-offer', relayWebRTC('webrtc-offer', 'caller'));
+    socket.on('webrtc-answer', relayWebRTC('webrtc-answer', 'receiver'));
+    socket.on('webrtc-ice-candidate', relayWebRTC('webrtc-ice-candidate', 'either'));
+
+    socket.on('disconnect', async () => {
+      typingTo.forEach(receiverId => socket.to(receiverId).emit('stop-typing', { userId }));
+      if (markOffline(userId)) await updatePresence(io, userId, false);
+      winston.info(`WebSocket client disconnected for user ${userId}`);
+    });
+
+    if (markOnline(userId)) updatePresence(io, userId, true);
+  });
+
+  // New messages are pushed to the receiver's sockets; the first client ack marks them delivered
+  pubsub.subscribe('MESSAGE_RECEIVED', ({ messageReceived: message, recipientId }) => {
+    // Group messages are published once per recipient and track reads per participant instead
+    if (message.group) {
+      io.to(recipientId).emit('message', message);
+      return;
+    }
+    const receiverId = message.receiver.toString();
+    // err is set when any one socket misses the timeout, e.g. a stale tab, even if another socket acked
+    io.to(receiverId).timeout(10 * 1000).emit('message', message, async (err, acks) => {
+      if (!acks?.length) return;
+      try {
+        await messageController.markMessagesDelivered({ userId: receiverId, body: { messageIds: [message._id.toString()] } });
+      } catch (error) {
+        winston.error(`Failed to mark message ${message._id} delivered: ${error.message}`);
+      }
+    });
+  });
+  pubsub.subscribe('MESSAGE_STATUS', ({ messageStatusChanged: status }) => {
+    io.to(status.senderId.toString()).emit('message-status', status);
+  });
+
+  startPresenceHeartbeat();
+  return io;
+};
@@ -0,0 +1,75 @@
+import { cloudinary } from './cloudinary.js';
+import ApiError from './apiError.js';
+import winston from './logger.js';
+
+export const MAX_ATTACHMENTS = 10;
+
+// Voice note limits: VOICE_NOTE_MAX_MB (default 5) and VOICE_NOTE_MAX_SECONDS (default 120)
+const getVoiceNoteLimits = () => ({
+  maxBytes: (parseFloat(process.env.VOICE_NOTE_MAX_MB) || 5) * 1024 * 1024,
+  maxSeconds: parseInt(process.env.VOICE_NOTE_MAX_SECONDS) || 120,
+});
+
+const getAttachmentType = (mimeType = '') => ['image', 'video', 'audio'].find(type => mimeType.startsWith(`${type}/`));
+
+// Checks type, count and size before anything is uploaded. Voice note duration is only known after upload.
+export const validateAttachments = (files) => {
+  if (files.length > MAX_ATTACHMENTS) throw new ApiError(400, `A message can have at most ${MAX_ATTACHMENTS} attachments`);
+  const { maxBytes } = getVoiceNoteLimits();
+  files.forEach((file) => {
+    const type = getAttachmentType(file.mimetype);
+    if (!type) throw new ApiError(400, `Unsupported attachment type: ${file.mimetype}`);
+    if (type === 'audio' && file.size > maxBytes) throw new ApiError(400, 'Voice message is too large');
+  });
+};
+
+// Uploads one file and returns the attachment subdocument. Duration and dimensions come from Cloudinary.
+const uploadAttachment = async (file, uploaded) => {
+  const type = getAttachmentType(file.mimetype);
+  const resourceType = type === 'image' ? 'image' : 'video'; // Cloudinary stores audio as video resources
+  const result = await cloudinary.uploader.upload(file.path, { folder: 'lif_messages', resource_type: resourceType });
+  uploaded.push({ publicId: result.public_id, resourceType });
+
+  const { maxSeconds } = getVoiceNoteLimits();
+  if (type === 'audio' && result.duration > maxSeconds) {
+    throw new ApiError(400, `Voice message cannot be longer than ${maxSeconds} seconds`);
+  }
+
+  return {
+    type,
+    url: result.secure_url,
+    mimeType: file.mimetype,
+    size: file.size,
+    duration: result.duration,
+    width: result.width,
+    height: result.height,
+  };
+};
+
+// Uploads every file in order. If one fails, the files already uploaded are removed so nothing is left orphaned.
+export const uploadAttachments = async (files) => {
+  const attachments = [];
+  const uploaded = [];
+  try {
+    for (const file of files) attachments.push(await uploadAttachment(file, uploaded));
+  } catch (error) {
+    await Promise.all(uploaded.map(({ publicId, resourceType }) => cloudinary.uploader
+      .destroy(publicId, { resource_type: resourceType })
+      .catch(err => winston.error(`Failed to remove attachment ${publicId}: ${err.message}`))));
+    throw error;
+  }
+  return attachments;
+};
+
+// Inbox preview for a message, falling back to its attachments when there is no text
+export const messagePreview = ({ text, attachments, mediaURL, unsent }) => {
+  if (unsent) return 'Message unsent';
+  if (text) return text;
+  attachments = attachments || []; // Messages from before attachments existed have none stored
+  if (attachments.length > 1) return `📎 ${attachments.length} attachments`;
+  const [attachment] = attachments;
+  if (attachment?.type === 'audio') return '🎤 Voice message';
+  if (attachment?.type === 'video') return '🎥 Video';
+  if (attachment?.type === 'image' || mediaURL) return '📷 Photo';
+  return '';
+};
@@ -3,7 +3,8 @@ import { Message } from '../lib.js';
 export const startAutoDelete = () => {
     setInterval(async () => {
         const fiveDaysAgo = new Date(Date.now() - 5 * 24 * 60 * 60 * 1000);
-        await Message.deleteMany({ timestamp: { $lt: fiveDaysAgo }, read: false });
+        // Group read state is kept per participant, so group messages never have read set and are left alone
+        await Message.deleteMany({ timestamp: { $lt: fiveDaysAgo }, read: false, group: null });
         console.log('Deleted old unread messages');
     }, 24 * 60 * 60 * 1000);
 };
\ No newline at end of file
@@ -0,0 +1,13 @@
+import ApiError from './apiError.js';
+
+// Opaque pagination cursors: base64url-encoded JSON so clients never depend on their contents
+export const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new ApiError(400, 'Invalid cursor');
+  }
+};
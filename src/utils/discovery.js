@@ -0,0 +1,102 @@
+import { Like, Match, Pass, SafetyReport, Unmatch, User, getBlockedUserIds } from '../lib.js';
+
+// Weights for the discovery feed ranking. Each signal is normalised to 0..1
+// before weighting, so a candidate's score is always between 0 and the sum of the weights.
+// superLike outweighs the other signals combined so people who super-liked the viewer come first.
+export const DISCOVERY_WEIGHTS = {
+  distance: 0.3,
+  interests: 0.25,
+  preferences: 0.15,
+  recency: 0.15,
+  boost: 0.15,
+  superLike: 1,
+};
+
+export const DISCOVERY_POOL_SIZE = 200; // Nearby candidates fetched before ranking
+const RECENCY_HALF_LIFE_MS = 3 * 24 * 60 * 60 * 1000; // Activity score halves every 3 days
+const EARTH_RADIUS_KM = 6371;
+
+// Passed profiles stay hidden for PASS_COOLDOWN_DAYS (default 7), read lazily so .env is loaded first
+export const getPassCooldownMs = () => (parseFloat(process.env.PASS_COOLDOWN_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in km between two [lng, lat] pairs
+export const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+export const scoreProfile = (candidate, user, { origin, maxDistance, superLikerIds = new Set(), now = Date.now() }) => {
+  const distanceKm = haversineKm(origin, candidate.location.coordinates);
+  const distance = Math.max(0, 1 - distanceKm / maxDistance);
+
+  const userInterests = new Set((user.interests || []).map(i => i.toLowerCase()));
+  const sharedInterests = (candidate.interests || []).filter(i => userInterests.has(i.toLowerCase()));
+  const interests = userInterests.size ? sharedInterests.length / userInterests.size : 0;
+
+  const preferences = candidate.preferences === user.preferences ? 1 : 0;
+
+  const inactiveFor = Math.max(0, now - new Date(candidate.lastActive || 0).getTime());
+  const recency = Math.pow(0.5, inactiveFor / RECENCY_HALF_LIFE_MS);
+
+  const boost = candidate.boostedUntil && new Date(candidate.boostedUntil).getTime() > now ? 1 : 0;
+
+  const superLike = superLikerIds.has(candidate._id.toString()) ? 1 : 0;
+
+  const signals = { distance, interests, preferences, recency, boost, superLike };
+  const breakdown = {};
+  let score = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    const weighted = value * DISCOVERY_WEIGHTS[signal];
+    breakdown[signal] = { value: round(value), weight: DISCOVERY_WEIGHTS[signal], weighted: round(weighted) };
+    score += weighted;
+  }
+
+  return { score: round(score), breakdown, distanceKm: round(distanceKm), sharedInterests };
+};
+
+// Ties are broken by id so the order is stable across pages
+export const rankProfiles = (candidates, user, options) => candidates
+  .map(profile => ({ profile, ...scoreProfile(profile, user, options) }))
+  .sort((a, b) => b.score - a.score || a.profile._id.toString().localeCompare(b.profile._id.toString()));
+
+// Returns the ranked entries that come strictly after the cursor position
+export const rankedAfter = (ranked, cursor) => {
+  if (!cursor) return ranked;
+  return ranked.filter(({ profile, score }) => score < cursor.score
+    || (score === cursor.score && profile._id.toString().localeCompare(cursor.id) > 0));
+};
+
+// Ids of users whose super like on the viewer is still waiting for a response
+export const getSuperLikerIds = async (userId) => {
+  const superLikes = await Like.find({ likee: userId, isSuperLike: true }).select('liker');
+  return new Set(superLikes.map(like => like.liker.toString()));
+};
+
+// Everyone the user has already acted on and should not see in discovery again
+export const getExcludedUserIds = async (userId) => {
+  const [user, likes, passes, matches, unmatches, reports, blockedIds] = await Promise.all([
+    User.findById(userId).select('maybeLikes'),
+    Like.find({ liker: userId }).select('likee'),
+    Pass.find({ passer: userId, createdAt: { $gt: new Date(Date.now() - getPassCooldownMs()) } }).select('passee'),
+    Match.find({ users: userId }).select('users'),
+    Unmatch.find({ users: userId }).select('users'),
+    SafetyReport.find({ userId }).select('reportedUserId'),
+    getBlockedUserIds(userId),
+  ]);
+
+  const excluded = new Set([userId.toString()]);
+  (user?.maybeLikes || []).forEach(id => excluded.add(id.toString()));
+  likes.forEach(like => excluded.add(like.likee.toString()));
+  passes.forEach(pass => excluded.add(pass.passee.toString()));
+  [...matches, ...unmatches].forEach(pair => pair.users.forEach(id => excluded.add(id.toString())));
+  reports.forEach(report => excluded.add(report.reportedUserId.toString()));
+  blockedIds.forEach(id => excluded.add(id.toString()));
+  return [...excluded];
+};
@@ -0,0 +1,42 @@
+import { Block, Match, Message, Unmatch, ApiError } from '../lib.js';
+
+// Everyone the user has blocked or been blocked by; a block hides both sides from each other
+export const getBlockedUserIds = async (userId) => {
+  const blocks = await Block.find({ $or: [{ blocker: userId }, { blocked: userId }] });
+  return blocks.map(block => (block.blocker.toString() === userId.toString() ? block.blocked : block.blocker));
+};
+
+export const assertNotBlocked = async (userId, otherUserId, action) => {
+  const blocked = await Block.exists({
+    $or: [{ blocker: userId, blocked: otherUserId }, { blocker: otherUserId, blocked: userId }],
+  });
+  if (blocked) throw new ApiError(403, `You cannot ${action} this user`);
+};
+
+// Nobody joining a group may have a block with anyone already in it, in either direction
+export const assertNoBlocksAmong = async (newUserIds, memberIds) => {
+  const blocked = await Block.exists({
+    $or: [
+      { blocker: { $in: newUserIds }, blocked: { $in: memberIds } },
+      { blocker: { $in: memberIds }, blocked: { $in: newUserIds } },
+    ],
+  });
+  if (blocked) throw new ApiError(403, 'Some of these users cannot be in a group together');
+};
+
+// Messaging and calling require a match, or a confession thread between the two users.
+// Throws a 403 ApiError so REST, GraphQL and the socket layer all report the same error.
+export const assertCanInteract = async (userId, otherUserId, action = 'message') => {
+  if (!otherUserId) throw new ApiError(400, 'Recipient is required');
+  if (userId.toString() === otherUserId.toString()) throw new ApiError(400, `Cannot ${action} yourself`);
+
+  await assertNotBlocked(userId, otherUserId, action);
+  const pair = [userId, otherUserId];
+  if (await Unmatch.exists({ users: { $all: pair } })) throw new ApiError(403, `You can no longer ${action} this user`);
+
+  const [match, confession] = await Promise.all([
+    Match.exists({ users: { $all: pair } }),
+    Message.exists({ sender: { $in: pair }, receiver: { $in: pair }, isConfession: true }),
+  ]);
+  if (!match && !confession) throw new ApiError(403, `You can only ${action} users you have matched with`);
+};
@@ -0,0 +1,66 @@
+import { LoginAttempt, ApiError, winston } from '../lib.js';
+
+// Accounts lock after fewer failures than IP addresses, which may be shared behind a NAT.
+// Every variable is read lazily so .env is loaded first.
+const LIMITS = {
+    account: { env: 'LOCKOUT_MAX_ACCOUNT_FAILURES', default: 5 },
+    ip: { env: 'LOCKOUT_MAX_IP_FAILURES', default: 20 },
+};
+const HISTORY_MS = 24 * 60 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+const getMaxFailures = (kind) => parseInt(process.env[LIMITS[kind].env]) || LIMITS[kind].default;
+const getWindowMs = () => (parseFloat(process.env.LOCKOUT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const getBaseLockoutMs = () => (parseFloat(process.env.LOCKOUT_DURATION_MINUTES) || 15) * 60 * 1000;
+
+// Keys for the account and the client address in one flow, e.g. lockoutKeys('login', email, req)
+export const lockoutKeys = (flow, email, req) => ({
+    ...(email && { account: `${flow}:account:${String(email).toLowerCase().trim()}` }),
+    ip: `${flow}:ip:${req.ip || 'unknown'}`,
+});
+
+// Throws 429 while any of the keys is locked
+export const assertNotLocked = async (keys) => {
+    const locked = await LoginAttempt.findOne({ key: { $in: Object.values(keys) }, lockedUntil: { $gt: new Date() } })
+        .sort({ lockedUntil: -1 });
+    if (!locked) return;
+    const minutes = Math.ceil((locked.lockedUntil - Date.now()) / 60000);
+    throw new ApiError(429, `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+};
+
+// Counts a failure against each key. Returns the kinds ("account", "ip") that just got locked.
+export const recordFailure = async (keys) => {
+    const now = new Date();
+    const newlyLocked = [];
+    for (const [kind, key] of Object.entries(keys)) {
+        // Failures older than the window start the count over
+        const attempt = await LoginAttempt.findOneAndUpdate(
+            { key },
+            [{
+                $set: {
+                    failures: { $cond: [{ $gt: ['$lastFailureAt', new Date(now - getWindowMs())] }, { $add: ['$failures', 1] }, 1] },
+                    lastFailureAt: now,
+                    lockouts: { $ifNull: ['$lockouts', 0] },
+                    expiresAt: new Date(now.getTime() + HISTORY_MS),
+                },
+            }],
+            { upsert: true, new: true }
+        );
+        if (attempt.failures < getMaxFailures(kind)) continue;
+
+        // Each lockout lasts twice as long as the previous one, up to a day
+        const lockoutMs = Math.min(getBaseLockoutMs() * 2 ** attempt.lockouts, MAX_LOCKOUT_MS);
+        const lockedUntil = new Date(now.getTime() + lockoutMs);
+        const { modifiedCount } = await LoginAttempt.updateOne(
+            { _id: attempt._id, failures: attempt.failures },
+            { failures: 0, lockedUntil, $inc: { lockouts: 1 }, expiresAt: new Date(lockedUntil.getTime() + HISTORY_MS) }
+        );
+        if (modifiedCount) {
+            winston.warn(`Locked ${key} until ${lockedUntil.toISOString()} after ${attempt.failures} failures`);
+            newlyLocked.push(kind);
+        }
+    }
+    return newlyLocked;
+};
+
+export const clearFailures = (key) => LoginAttempt.deleteOne({ key });
@@ -0,0 +1,48 @@
+import { PhoneOtp, ApiError } from '../lib.js';
+import { sendSms } from './sms.js';
+import crypto from 'crypto';
+
+const MAX_ATTEMPTS = 5; // Wrong guesses before the code is thrown away
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Read lazily so .env is loaded first
+const getOtpTtlMs = () => (parseFloat(process.env.OTP_TTL_MINUTES) || 10) * 60 * 1000;
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Strips formatting so "+1 (555) 010-9999" and "+15550109999" are the same number
+export const normalizePhone = (phone) => (phone ? String(phone).replace(/[\s().-]/g, '') : phone);
+
+// Texts a new 6-digit code, replacing any earlier one for the same number and purpose
+export const issueOtp = async ({ phone, purpose, userId }) => {
+  const previous = await PhoneOtp.findOne({ phone, purpose });
+  if (previous && Date.now() - previous.createdAt < RESEND_COOLDOWN_MS) {
+    throw new ApiError(429, 'Please wait a minute before requesting another code');
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  await PhoneOtp.findOneAndUpdate(
+    { phone, purpose },
+    { user: userId, codeHash: hashCode(code), attempts: 0, createdAt: new Date(), expiresAt: new Date(Date.now() + getOtpTtlMs()) },
+    { upsert: true }
+  );
+  await sendSms(phone, `Your L.I.F code is ${code}. It expires in ${Math.round(getOtpTtlMs() / 60000)} minutes.`);
+};
+
+// Returns the user the code was issued for, or null. A correct code can only be used once.
+export const consumeOtp = async ({ phone, purpose, code }) => {
+  const otp = await PhoneOtp.findOneAndUpdate(
+    { phone, purpose, expiresAt: { $gt: new Date() } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otp) return null;
+  if (otp.attempts > MAX_ATTEMPTS) {
+    await PhoneOtp.deleteOne({ _id: otp._id });
+    return null;
+  }
+  if (otp.codeHash !== hashCode(code)) return null;
+
+  const { deletedCount } = await PhoneOtp.deleteOne({ _id: otp._id, codeHash: otp.codeHash });
+  return deletedCount ? otp.user : null;
+};
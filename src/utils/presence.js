@@ -0,0 +1,41 @@
+import { User, winston } from '../lib.js';
+
+// In-memory presence for this server instance: user id -> number of open sockets
+const connections = new Map();
+
+export const isOnline = (userId) => connections.has(userId.toString());
+
+export const getOnlineUserIds = () => [...connections.keys()];
+
+// Returns true when this is the user's first open socket
+export const markOnline = (userId) => {
+    const id = userId.toString();
+    const count = connections.get(id) || 0;
+    connections.set(id, count + 1);
+    return count === 0;
+};
+
+// Returns true when the user's last socket has closed
+export const markOffline = (userId) => {
+    const id = userId.toString();
+    const count = (connections.get(id) || 1) - 1;
+    if (count > 0) {
+        connections.set(id, count);
+        return false;
+    }
+    connections.delete(id);
+    return true;
+};
+
+export const touchLastActive = (userIds) => User.updateMany({ _id: { $in: userIds } }, { lastActive: new Date() });
+
+// Keeps lastActive fresh for everyone with an open socket
+export const startPresenceHeartbeat = () => {
+    setInterval(() => {
+        const online = getOnlineUserIds();
+        if (!online.length) return;
+        touchLastActive(online)
+            .then(() => winston.debug(`Presence heartbeat for ${online.length} users`))
+            .catch(err => winston.error(`Presence heartbeat failed: ${err.message}`));
+    }, 60 * 1000);
+};
@@ -0,0 +1,75 @@
+import { User, ApiError, winston } from '../lib.js';
+
+// Daily per-user quotas. Each limit can be overridden per environment through its variable.
+const QUOTAS = {
+    likes: { env: 'DAILY_LIKE_QUOTA', default: 100, message: 'Daily like limit reached', header: 'X-Quota-Likes-Remaining' },
+    superLikes: { env: 'DAILY_SUPER_LIKE_QUOTA', default: 1, message: 'No super likes left today', header: 'X-Quota-SuperLikes-Remaining' },
+    confessions: { env: 'DAILY_CONFESSION_QUOTA', default: 3, message: 'Daily confession limit reached', header: 'X-Quota-Confessions-Remaining' },
+};
+
+export const getDailyQuota = (type) => {
+    const value = parseInt(process.env[QUOTAS[type].env]);
+    return Number.isNaN(value) ? QUOTAS[type].default : value;
+};
+
+// Quotas reset at the next midnight UTC
+export const nextQuotaReset = (from = new Date()) => {
+    const reset = new Date(from);
+    reset.setUTCHours(24, 0, 0, 0);
+    return reset;
+};
+
+const emptyUsage = () => Object.fromEntries(Object.keys(QUOTAS).map(type => [type, 0]));
+
+const resetExpiredUsage = (filter, now = new Date()) => User.updateMany(
+    { ...filter, $or: [{ dailyUsageResetAt: { $lte: now } }, { dailyUsageResetAt: null }] },
+    { dailyUsage: emptyUsage(), dailyUsageResetAt: nextQuotaReset(now) }
+);
+
+// Atomically uses one unit of the quota, throwing 429 when none is left
+export const consumeQuota = async (userId, type) => {
+    await resetExpiredUsage({ _id: userId });
+    const field = `dailyUsage.${type}`;
+    const { modifiedCount } = await User.updateOne(
+        { _id: userId, $or: [{ [field]: { $lt: getDailyQuota(type) } }, { [field]: null }] },
+        { $inc: { [field]: 1 } }
+    );
+    if (!modifiedCount) throw new ApiError(429, QUOTAS[type].message);
+};
+
+// Gives a unit back, e.g. when the action that used it is undone. Units used before the current quota day were already reset.
+export const releaseQuota = (userId, type, usedAt) => User.updateOne(
+    { _id: userId, dailyUsageResetAt: nextQuotaReset(usedAt), [`dailyUsage.${type}`]: { $gt: 0 } },
+    { $inc: { [`dailyUsage.${type}`]: -1 } }
+);
+
+export const getQuotaStatus = (user, now = new Date()) => {
+    const expired = !user.dailyUsageResetAt || user.dailyUsageResetAt <= now;
+    const status = { resetAt: expired ? nextQuotaReset(now) : user.dailyUsageResetAt };
+    for (const type of Object.keys(QUOTAS)) {
+        const limit = getDailyQuota(type);
+        const used = expired ? 0 : user.dailyUsage?.[type] || 0;
+        status[type] = { limit, used, remaining: Math.max(0, limit - used) };
+    }
+    return status;
+};
+
+// REST handlers get the Express response through req.res, GraphQL resolvers pass it explicitly
+export const setQuotaHeaders = async (req) => {
+    if (!req.res) return;
+    const user = await User.findById(req.userId).select('dailyUsage dailyUsageResetAt');
+    if (!user) return;
+    const status = getQuotaStatus(user);
+    for (const [type, { header }] of Object.entries(QUOTAS)) req.res.set(header, String(status[type].remaining));
+    req.res.set('X-Quota-Reset', status.resetAt.toISOString());
+};
+
+export const startQuotaReset = () => {
+    setInterval(() => {
+        resetExpiredUsage({})
+            .then(({ modifiedCount }) => {
+                if (modifiedCount) winston.info(`Reset daily quotas for ${modifiedCount} users`);
+            })
+            .catch(err => winston.error(`Daily quota reset failed: ${err.message}`));
+    }, 60 * 60 * 1000);
+};
@@ -0,0 +1,42 @@
+import { ScheduledMessage, messageController, assertCanInteract, winston } from '../lib.js';
+
+const POLL_INTERVAL_MS = 30 * 1000;
+
+// Claims one due message at a time so an edit or cancel can never race with delivery
+const claimNextDue = () => ScheduledMessage.findOneAndUpdate(
+    { status: 'pending', sendAt: { $lte: new Date() } },
+    { status: 'sending' },
+    { sort: { sendAt: 1 }, new: true }
+);
+
+export const deliverDueMessages = async () => {
+    let scheduled;
+    while ((scheduled = await claimNextDue())) {
+        try {
+            // The pair may have unmatched or blocked each other since the message was scheduled
+            await assertCanInteract(scheduled.sender, scheduled.receiver, 'message');
+            const message = await messageController.deliverMessage({
+                senderId: scheduled.sender,
+                receiverId: scheduled.receiver,
+                text: scheduled.text,
+                attachments: scheduled.attachments,
+            });
+            scheduled.status = 'sent';
+            scheduled.message = message._id;
+        } catch (err) {
+            scheduled.status = 'failed';
+            scheduled.failureReason = err.message;
+            winston.warn(`Scheduled message ${scheduled._id} failed: ${err.message}`);
+        }
+        await scheduled.save();
+    }
+};
+
+export const startScheduledMessages = () => {
+    // Messages left in "sending" by a crash mid-delivery are retried
+    ScheduledMessage.updateMany({ status: 'sending' }, { status: 'pending' })
+        .catch(err => winston.error(`Failed to requeue scheduled messages: ${err.message}`));
+    setInterval(() => {
+        deliverDueMessages().catch(err => winston.error(`Scheduled message delivery failed: ${err.message}`));
+    }, POLL_INTERVAL_MS);
+};
@@ -0,0 +1,33 @@
+const SNIPPET_RADIUS = 40; // Characters of context kept on each side of the first match
+
+const escapeHtml = (value) => value.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Terms from a MongoDB $text search string, ignoring negated terms and quotes
+export const searchTerms = (query) => query
+  .split(/\s+/)
+  .filter(term => term && !term.startsWith('-'))
+  .map(term => term.replace(/"/g, ''))
+  .filter(Boolean);
+
+// Returns an HTML-escaped excerpt around the first match with every match wrapped in <mark>
+export const buildSnippet = (text, query) => {
+  const terms = searchTerms(query);
+  if (!text || !terms.length) return escapeHtml(text || '');
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+  const first = text.search(pattern);
+  const start = first === -1 ? 0 : Math.max(0, first - SNIPPET_RADIUS);
+  const end = first === -1 ? SNIPPET_RADIUS * 2 : first + SNIPPET_RADIUS * 2;
+  const excerpt = text.slice(start, end);
+
+  let snippet = '';
+  let last = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    snippet += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  snippet += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
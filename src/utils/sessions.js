@@ -0,0 +1,68 @@
+import { Session, jwt, ApiError, winston } from '../lib.js';
+import crypto from 'crypto';
+
+// Read lazily so .env is loaded first
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenTtlMs = () => (parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so a rotated-out token still identifies its session
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+const refreshTokenFields = (refreshToken) => ({
+    refreshTokenHash: hashToken(refreshToken),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+});
+
+export const signAccessToken = (user, session) => jwt.sign(
+    { id: user._id, tokenVersion: user.tokenVersion, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenTtl() }
+);
+
+// Starts a session for the device making the request and returns its first token pair
+export const createSession = async (user, req) => {
+    const session = new Session({
+        user: user._id,
+        tokenVersion: user.tokenVersion,
+        device: {
+            name: req.body?.deviceName,
+            userAgent: req.headers?.['user-agent'],
+            ip: req.ip,
+        },
+    });
+    const refreshToken = generateRefreshToken(session._id);
+    session.set(refreshTokenFields(refreshToken));
+    await session.save();
+    return { token: signAccessToken(user, session), refreshToken, sessionId: session._id };
+};
+
+// Swaps a refresh token for a new pair. Presenting a token that was already rotated out revokes the session.
+export const rotateSession = async (refreshToken) => {
+    const sessionId = String(refreshToken || '').split('.')[0];
+    const session = /^[0-9a-f]{24}$/.test(sessionId) ? await Session.findById(sessionId).populate('user') : null;
+    if (!session?.user || session.revokedAt || session.expiresAt <= new Date()
+        || session.user.tokenVersion !== session.tokenVersion) {
+        throw new ApiError(401, 'Invalid or expired refresh token');
+    }
+
+    // Matching on the current hash makes rotation atomic, so a token can only ever be exchanged once
+    const nextRefreshToken = generateRefreshToken(session._id);
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+        refreshTokenFields(nextRefreshToken)
+    );
+    if (!rotated) {
+        await revokeSessions({ _id: session._id }, 'reuse');
+        winston.warn(`Refresh token reuse detected for session ${session._id}, session revoked`);
+        throw new ApiError(401, 'Invalid or expired refresh token');
+    }
+    return { token: signAccessToken(session.user, session), refreshToken: nextRefreshToken, sessionId: session._id };
+};
+
+export const revokeSessions = (filter, reason = 'revoked') => Session.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+);
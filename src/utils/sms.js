@@ -0,0 +1,37 @@
+import fs from 'fs/promises';
+import { winston } from '../lib.js';
+
+// SMS delivery goes through a named provider chosen by SMS_PROVIDER (default "console").
+// A provider is any object with `send(to, text)`; real gateways plug in with registerSmsProvider.
+const providers = {
+  // Development stand-in: the message only shows up in the server log
+  console: {
+    send: async (to, text) => winston.info(`SMS to ${to}: ${text}`),
+  },
+  // Development stand-in: appends each message to SMS_OUTBOX_FILE so tests and tools can read codes back
+  file: {
+    send: async (to, text) => {
+      const line = JSON.stringify({ to, text, sentAt: new Date().toISOString() });
+      await fs.appendFile(process.env.SMS_OUTBOX_FILE || 'sms-outbox.log', `${line}\n`);
+    },
+  },
+};
+
+export const registerSmsProvider = (name, provider) => {
+  if (typeof provider?.send !== 'function') throw new Error(`SMS provider "${name}" must implement send(to, text)`);
+  providers[name] = provider;
+};
+
+export const sendSms = async (to, text) => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown SMS provider: ${name}`);
+
+  try {
+    await provider.send(to, text);
+    winston.info(`SMS sent to ${to} via ${name}`);
+  } catch (error) {
+    winston.error(`SMS sending failed: ${error.message}`);
+    throw new Error('Failed to send SMS');
+  }
+};
@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps), the defaults every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const BACKUP_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    return bits.match(/.{1,5}/g).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+const base32Decode = (text) => {
+    const bits = text.replace(/=+$/, '').toUpperCase().split('')
+        .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+        .join('');
+    return Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+};
+
+const hotp = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth:// URI that authenticator apps import, usually by scanning it as a QR code
+export const provisioningUri = (secret, accountName, issuer = 'L.I.F') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+// Returns the time step the code belongs to, allowing one step of clock drift either way, or null if it does not match
+export const verifyTotp = (secret, code, now = Date.now()) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+    const step = Math.floor(now / 1000 / STEP_SECONDS);
+    for (const candidate of [step - 1, step, step + 1]) {
+        if (crypto.timingSafeEqual(Buffer.from(hotp(secret, candidate)), Buffer.from(normalized))) return candidate;
+    }
+    return null;
+};
+
+// Backup codes are only stored hashed; dashes, spaces and case are ignored when one is entered
+export const hashBackupCode = (code) => crypto.createHash('sha256')
+    .update(String(code || '').replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+
+export const generateBackupCodes = () => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashBackupCode) };
+};